@@ -6,9 +6,31 @@ const cookieParser = require('cookie-parser');
 
 const authRoutes = require('./src/routes/auth.routes');
 const taskRoutes = require('./src/routes/task.routes');
+const projectRoutes = require('./src/routes/project.routes');
+const userRoutes = require('./src/routes/user.routes');
+const tagRoutes = require('./src/routes/tag.routes');
+const calendarRoutes = require('./src/routes/calendar.routes');
+const notificationRoutes = require('./src/routes/notification.routes');
+const eventRoutes = require('./src/routes/event.routes');
+const { startTrashPurge } = require('./src/utils/trash');
+const { startDueDateReminders } = require('./src/utils/reminders');
 
 const app = express();
 
+// Behind a reverse proxy, req.ip (used for rate limiting and sessions) is
+// only the client's address when the proxy is trusted. TRUST_PROXY takes a
+// hop count, "true", or addresses/subnets as accepted by Express.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+  } else if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', Number(trustProxy));
+  } else {
+    app.set('trust proxy', trustProxy);
+  }
+}
+
 const allowedOrigins = [
   'http://localhost:3000',
   'https://task-app-io.vercel.app',
@@ -25,10 +47,14 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['set-cookie']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID'],
+  exposedHeaders: ['set-cookie', 'Retry-After']
 }));
 
+// Mounted ahead of the body parsers: the task routes parse their own
+// bodies, so imports can accept larger ones
+app.use('/api/tasks', taskRoutes);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -37,14 +63,23 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  startTrashPurge();
+  startDueDateReminders();
+})
 .catch((err) => {
   console.error('❌ MongoDB connection error:', err);
   process.exit(1);
 });
 
 app.use('/api/auth', authRoutes);
-app.use('/api/tasks', taskRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
 
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', message: 'Server is running' });
@@ -1,18 +1,24 @@
 const jwt = require('jsonwebtoken');
+const { generateToken } = require('../utils/tokens');
 
-const generateAccessToken = (userId) => {
+// Both tokens carry the id of the session they belong to (see models/Session)
+const generateAccessToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
-const generateRefreshToken = (userId) => {
+// The random jwtid keeps tokens rotated within the same second distinct
+const generateRefreshToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
+      jwtid: generateToken(16)
+    }
   );
 };
 
@@ -32,9 +38,71 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// Verification links are signed with their own secret and carry a purpose
+// claim, so they can never be used as access or refresh tokens
+const EMAIL_VERIFICATION_PURPOSE = 'verify-email';
+
+const getEmailVerificationSecret = () => {
+  return process.env.EMAIL_VERIFICATION_SECRET || `${process.env.JWT_SECRET}:${EMAIL_VERIFICATION_PURPOSE}`;
+};
+
+const getEmailVerificationHours = () => {
+  return parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+};
+
+// The email is part of the token so a link stops working if the address
+// it was sent to is no longer the account's address
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, purpose: EMAIL_VERIFICATION_PURPOSE },
+    getEmailVerificationSecret(),
+    { expiresIn: `${getEmailVerificationHours()}h` }
+  );
+};
+
+const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getEmailVerificationSecret());
+    return decoded.purpose === EMAIL_VERIFICATION_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Issued after a correct password when the account has two-factor
+// authentication on. It only proves the first step and is exchanged for
+// real tokens by POST /api/auth/login/2fa.
+const TWO_FACTOR_PURPOSE = 'two-factor';
+
+const getTwoFactorSecret = () => {
+  return process.env.TWO_FACTOR_CHALLENGE_SECRET || `${process.env.JWT_SECRET}:${TWO_FACTOR_PURPOSE}`;
+};
+
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign(
+    { userId, purpose: TWO_FACTOR_PURPOSE },
+    getTwoFactorSecret(),
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, getTwoFactorSecret());
+    return decoded.purpose === TWO_FACTOR_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
-  verifyRefreshToken
+  verifyRefreshToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  getEmailVerificationHours,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
 };
@@ -0,0 +1,6 @@
+// Limits shared by the Task model, the request validators and controllers
+const MAX_CHECKLIST_ITEMS = 50;
+
+module.exports = {
+  MAX_CHECKLIST_ITEMS
+};
@@ -0,0 +1,96 @@
+const ApiKey = require('../models/ApiKey');
+const { generateApiKey } = require('../utils/apiKeys');
+
+const MAX_API_KEYS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: apiKeys.length,
+      data: { apiKeys }
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: error.message
+    });
+  }
+};
+
+// The plain key is only part of this response; afterwards just its hash
+// and display prefix are stored
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const count = await ApiKey.countDocuments({ user: req.user._id });
+
+    if (count >= MAX_API_KEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_API_KEYS} API keys. Revoke one first`
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      user: req.user._id,
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again',
+      data: { apiKey, key }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: error.message
+    });
+  }
+};
+
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,212 @@
+const Attachment = require('../models/Attachment');
+const { hasRole, findTaskForUser } = require('../utils/permissions');
+const { getStorage } = require('../utils/storage');
+const { receiveUpload } = require('../utils/uploads');
+
+const MAX_ATTACHMENTS = 20;
+
+const UPLOADER_FIELDS = 'username fullName';
+
+// Anyone who can see the task may list and download its attachments; adding
+// and removing them needs the editor role. Sends the 404/403 response itself
+// and resolves to { task: null } when the caller may not proceed.
+const findAttachableTask = async (req, res, { write = false } = {}) => {
+  const result = await findTaskForUser(req.params.id, req.user._id);
+
+  if (!result.task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return result;
+  }
+
+  if (write && !hasRole(result.role, 'editor')) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to modify this task'
+    });
+    return { task: null, role: result.role };
+  }
+
+  return result;
+};
+
+// Loads an attachment of the task, sending the 404 response itself when missing
+const findAttachment = async (req, res, task) => {
+  const attachment = await Attachment.findOne({ _id: req.params.attachmentId, task: task._id })
+    .select('+storageKey');
+
+  if (!attachment) {
+    res.status(404).json({
+      success: false,
+      message: 'Attachment not found'
+    });
+    return null;
+  }
+
+  return attachment;
+};
+
+const getAttachments = async (req, res) => {
+  try {
+    const { task } = await findAttachableTask(req, res);
+    if (!task) return;
+
+    const attachments = await Attachment.find({ task: task._id })
+      .sort({ createdAt: 1 })
+      .populate('user', UPLOADER_FIELDS);
+
+    res.json({
+      success: true,
+      count: attachments.length,
+      data: { attachments }
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attachments',
+      error: error.message
+    });
+  }
+};
+
+// Expects multipart/form-data with the file in a field named "file". The
+// body is streamed to storage as it arrives, never buffered in memory.
+const uploadAttachment = async (req, res) => {
+  try {
+    const { task } = await findAttachableTask(req, res, { write: true });
+    if (!task) return;
+
+    const existing = await Attachment.countDocuments({ task: task._id });
+
+    if (existing >= MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `A task cannot have more than ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+
+    const { file, error } = await receiveUpload(req, task._id.toString());
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    let attachment;
+
+    try {
+      attachment = await Attachment.create({
+        task: task._id,
+        user: req.user._id,
+        filename: file.filename,
+        mimeType: file.mimeType,
+        size: file.size,
+        storageKey: file.key
+      });
+    } catch (error) {
+      await getStorage().remove(file.key).catch(() => {});
+      throw error;
+    }
+
+    attachment.storageKey = undefined;
+    await attachment.populate('user', UPLOADER_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: { attachment }
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading file',
+      error: error.message
+    });
+  }
+};
+
+const downloadAttachment = async (req, res) => {
+  try {
+    const { task } = await findAttachableTask(req, res);
+    if (!task) return;
+
+    const attachment = await findAttachment(req, res, task);
+    if (!attachment) return;
+
+    let stream;
+
+    try {
+      stream = await getStorage().read(attachment.storageKey);
+    } catch (error) {
+      console.error('Read attachment error:', error);
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file is missing'
+      });
+    }
+
+    // Always served as a download, never rendered inline, so uploaded
+    // HTML or SVG cannot run in the app's origin
+    const fallbackName = attachment.filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition':
+        `attachment; filename="${fallbackName}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-cache'
+    });
+
+    stream.on('error', (error) => {
+      console.error('Stream attachment error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading file',
+      error: error.message
+    });
+  }
+};
+
+const deleteAttachment = async (req, res) => {
+  try {
+    const { task } = await findAttachableTask(req, res, { write: true });
+    if (!task) return;
+
+    const attachment = await findAttachment(req, res, task);
+    if (!attachment) return;
+
+    await getStorage().remove(attachment.storageKey);
+    await attachment.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting attachment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
@@ -1,5 +1,53 @@
 const User = require('../models/User');
-const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../config/jwt');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const {
+  verifyEmailVerificationToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../config/jwt');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emails');
+const { isEmailVerified } = require('../utils/verification');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { purgeUserData } = require('../utils/account');
+const { TWO_FACTOR_FIELDS, verifySecondFactor } = require('../utils/twoFactor');
+const {
+  getThrottleKey,
+  getLockout,
+  recordFailure,
+  clearFailures
+} = require('../utils/loginThrottle');
+const {
+  setRefreshCookie,
+  clearRefreshCookie,
+  createSession,
+  rotateSession,
+  revokeSessions
+} = require('../utils/sessions');
+
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const getPasswordResetMinutes = () => {
+  return parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+};
+
+const toAuthUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  fullName: user.fullName,
+  emailVerified: isEmailVerified(user)
+});
+
+const sendLockedOut = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: `Too many failed login attempts. Try again in ${retryAfter} seconds`,
+    retryAfter
+  });
+};
 
 const register = async (req, res) => {
   try {
@@ -24,35 +72,32 @@ const register = async (req, res) => {
       username,
       email,
       password,
-      fullName
+      fullName,
+      emailVerified: false
     });
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // A failed delivery should not block registration; the user can ask
+    // for a new link from the dashboard
+    try {
+      await sendVerificationEmail(user);
+      user.verificationSentAt = new Date();
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
 
-    // Save refresh token to database
-    user.refreshToken = refreshToken;
     await user.save();
 
+    // Start a session for this device
+    const { accessToken, refreshToken, expiresAt } = await createSession(req, user._id);
+
     // Set refresh token as HTTP-only cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    setRefreshCookie(res, refreshToken, expiresAt);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          fullName: user.fullName
-        },
+        user: toAuthUser(user),
         accessToken
       }
     });
@@ -75,49 +120,53 @@ const login = async (req, res) => {
       $or: [{ email: emailOrUsername }, { username: emailOrUsername }]
     }).select('+password');
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+    const throttleKey = getThrottleKey(user, emailOrUsername);
+    const lockedFor = await getLockout(throttleKey);
+
+    if (lockedFor) {
+      return sendLockedOut(res, lockedFor);
     }
 
     // Check password
-    const isPasswordValid = await user.comparePassword(password);
+    const isPasswordValid = user ? await user.comparePassword(password) : false;
 
     if (!isPasswordValid) {
+      const lockSeconds = await recordFailure(throttleKey);
+      if (lockSeconds) {
+        return sendLockedOut(res, lockSeconds);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // The password alone only earns a challenge for the second step
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id)
+        }
+      });
+    }
 
-    // Save refresh token to database
-    user.refreshToken = refreshToken;
-    await user.save();
+    await clearFailures(throttleKey);
+
+    // Start a session for this device; other devices stay signed in
+    const { accessToken, refreshToken, expiresAt } = await createSession(req, user._id);
 
     // Set refresh token as HTTP-only cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000
-    });
+    setRefreshCookie(res, refreshToken, expiresAt);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          fullName: user.fullName
-        },
+        user: toAuthUser(user),
         accessToken
       }
     });
@@ -131,17 +180,75 @@ const login = async (req, res) => {
   }
 };
 
+// Second step of login for accounts with two-factor authentication
+const loginTwoFactor = async (req, res) => {
+  try {
+    const decoded = verifyTwoFactorChallenge(req.body.challengeToken);
+    const user = decoded
+      ? await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS)
+      : null;
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your sign-in attempt has expired. Please log in again'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const throttleKey = getThrottleKey(user);
+    const lockedFor = await getLockout(throttleKey);
+
+    if (lockedFor) {
+      return sendLockedOut(res, lockedFor);
+    }
+
+    const method = await verifySecondFactor(user, req.body);
+
+    if (!method) {
+      const lockSeconds = await recordFailure(throttleKey);
+      if (lockSeconds) {
+        return sendLockedOut(res, lockSeconds);
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await clearFailures(throttleKey);
+
+    const { accessToken, refreshToken, expiresAt } = await createSession(req, user._id);
+    setRefreshCookie(res, refreshToken, expiresAt);
+
+    const data = { user: toAuthUser(user), accessToken };
+    if (method === 'recovery') {
+      data.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length - 1;
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message
+    });
+  }
+};
+
 const logout = async (req, res) => {
   try {
-    // Clear refresh token from database
-    await User.findByIdAndUpdate(req.user._id, { refreshToken: null });
+    // End only the session this request belongs to
+    await revokeSessions(req.user._id, { _id: req.sessionId });
 
     // Clear refresh token cookie
-    res.clearCookie('refreshToken', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
-    });
+    clearRefreshCookie(res);
 
     res.json({
       success: true,
@@ -168,29 +275,23 @@ const refreshAccessToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
+    // Every refresh replaces the refresh token as well
+    const rotated = await rotateSession(req, refreshToken);
 
-    if (!decoded) {
+    if (rotated.error) {
+      clearRefreshCookie(res);
       return res.status(401).json({
         success: false,
-        message: 'Invalid or expired refresh token'
+        message: rotated.error
       });
     }
 
-    // Check if refresh token matches database
-    const user = await User.findById(decoded.userId).select('+refreshToken');
+    const { accessToken } = rotated;
 
-    if (!user || user.refreshToken !== refreshToken) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token'
-      });
+    if (rotated.refreshToken) {
+      setRefreshCookie(res, rotated.refreshToken, rotated.expiresAt);
     }
 
-    // Generate new access token
-    const accessToken = generateAccessToken(user._id);
-
     res.json({
       success: true,
       message: 'Token refreshed successfully',
@@ -206,6 +307,156 @@ const refreshAccessToken = async (req, res) => {
   }
 };
 
+const verifyEmail = async (req, res) => {
+  try {
+    const decoded = verifyEmailVerificationToken(req.body.token);
+    const user = decoded ? await User.findById(decoded.userId) : null;
+
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    if (!isEmailVerified(user)) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message
+    });
+  }
+};
+
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+verificationSentAt');
+
+    if (isEmailVerified(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const elapsed = user.verificationSentAt
+      ? (Date.now() - user.verificationSentAt.getTime()) / 1000
+      : Infinity;
+
+    if (elapsed < RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`
+      });
+    }
+
+    await sendVerificationEmail(user);
+    user.verificationSentAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message
+    });
+  }
+};
+
+// Stores a new reset token for the account with this email, if there is
+// one, and mails the link
+const issuePasswordReset = async (email) => {
+  const user = await User.findOne({ email });
+  if (!user) return;
+
+  const token = generateToken();
+  const expiresInMinutes = getPasswordResetMinutes();
+
+  user.passwordResetToken = hashToken(token);
+  user.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  await user.save();
+
+  await sendPasswordResetEmail(user, token, expiresInMinutes);
+};
+
+// Replies before the account is even looked up, so neither the response nor
+// its timing reveals whether the email is registered
+const forgotPassword = async (req, res) => {
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  });
+
+  issuePasswordReset(req.body.email).catch(error => {
+    console.error('Forgot password error:', error);
+  });
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Following the emailed link proves the user owns the address
+    if (!isEmailVerified(user)) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every session that used the old password and revoke every
+    // API key, which may have been created by whoever had it
+    await revokeSessions(user._id);
+    const { deletedCount: revokedApiKeys } = await ApiKey.deleteMany({ user: user._id });
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please sign in with your new password',
+      data: { revokedApiKeys }
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
 const getProfile = async (req, res) => {
   try {
     res.json({
@@ -267,11 +518,190 @@ const updateProfile = async (req, res) => {
   }
 };
 
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    const isPasswordValid = await user.comparePassword(currentPassword);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (user.twoFactorEnabled && !await verifySecondFactor(user, req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.code || req.body.recoveryCode
+          ? 'Invalid authentication code'
+          : 'Authentication code or recovery code is required'
+      });
+    }
+
+    user.password = newPassword;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every session, revoke every API key and start a fresh
+    // session for this device
+    await revokeSessions(user._id);
+    const { deletedCount: revokedApiKeys } = await ApiKey.deleteMany({ user: user._id });
+    const { accessToken, refreshToken, expiresAt } = await createSession(req, user._id);
+    setRefreshCookie(res, refreshToken, expiresAt);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: { accessToken, revokedApiKeys }
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: error.message
+    });
+  }
+};
+
+const deleteAccount = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.twoFactorEnabled && !await verifySecondFactor(user, req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.code || req.body.recoveryCode
+          ? 'Invalid authentication code'
+          : 'Authentication code or recovery code is required'
+      });
+    }
+
+    const removed = await purgeUserData(user._id);
+    await user.deleteOne();
+
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully',
+      data: removed
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting account',
+      error: error.message
+    });
+  }
+};
+
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id })
+      .sort({ lastUsedAt: -1 })
+      .select('userAgent ip createdAt lastUsedAt expiresAt');
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session._id.equals(req.sessionId)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+const revokeSession = async (req, res) => {
+  try {
+    const result = await revokeSessions(req.user._id, { _id: req.params.id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (req.params.id === String(req.sessionId)) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
+// Logs out everywhere, including the device making the request
+const revokeAllSessions = async (req, res) => {
+  try {
+    const result = await revokeSessions(req.user._id);
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: { count: result.deletedCount }
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   logout,
   refreshAccessToken,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   getProfile,
-  updateProfile
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  getSessions,
+  revokeSession,
+  revokeAllSessions
 };
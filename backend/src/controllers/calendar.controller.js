@@ -0,0 +1,136 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { buildCalendar } = require('../utils/ical');
+
+const FEED_LIMIT = 1000;
+
+const getFeedUrl = (req, token) => {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/calendar/feed/${token}.ics`;
+};
+
+const getFeedStatus = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        enabled: !!req.user.calendarTokenCreatedAt,
+        createdAt: req.user.calendarTokenCreatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// Issues a new feed secret. Any previously shared URL stops working.
+const regenerateFeedToken = async (req, res) => {
+  try {
+    const token = generateToken();
+    const createdAt = new Date();
+
+    await User.findByIdAndUpdate(req.user._id, {
+      calendarToken: hashToken(token),
+      calendarTokenCreatedAt: createdAt
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL generated',
+      data: {
+        url: getFeedUrl(req, token),
+        createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar feed URL',
+      error: error.message
+    });
+  }
+};
+
+const revokeFeedToken = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, {
+      $unset: { calendarToken: 1 },
+      calendarTokenCreatedAt: null
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed disabled'
+    });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// Public endpoint for calendar clients. The secret in the URL is the only
+// credential; access tokens are never accepted here.
+const getFeed = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const user = /^[a-f\d]{64}$/.test(token)
+      ? await User.findOne({ calendarToken: hashToken(token) })
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const projectIds = await Project.find({ 'members.user': user._id }).distinct('_id');
+
+    // Personal tasks plus project tasks assigned to the user
+    const tasks = await Task.find({
+      deletedAt: null,
+      dueDate: { $ne: null },
+      $or: [
+        { user: user._id, project: null },
+        { assignee: user._id, project: { $in: projectIds } }
+      ]
+    })
+      .sort({ dueDate: -1 })
+      .limit(FEED_LIMIT)
+      .populate({ path: 'tags', select: 'name', match: { user: user._id } });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="tasks.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(buildCalendar(tasks, { name: `TaskApp (${user.username})` }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar feed',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getFeedStatus,
+  regenerateFeedToken,
+  revokeFeedToken,
+  getFeed
+};
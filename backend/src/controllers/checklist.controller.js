@@ -0,0 +1,245 @@
+const { hasRole, findTaskForUser } = require('../utils/permissions');
+const { createNextOccurrence } = require('../utils/recurrence');
+const { snapshotTask, recordActivity } = require('../utils/activity');
+const { queueTaskEvent } = require('../utils/taskEvents');
+const { findBlockers } = require('../utils/dependencies');
+const { taskPopulate } = require('../utils/taskPopulate');
+const { MAX_CHECKLIST_ITEMS } = require('../config/taskLimits');
+
+// Sends the 404/403 response itself and resolves to null when the caller
+// cannot edit the task.
+const findEditableTask = async (req, res) => {
+  const { task, role } = await findTaskForUser(req.params.id, req.user._id);
+
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return null;
+  }
+
+  if (!hasRole(role, 'editor')) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to modify this task'
+    });
+    return null;
+  }
+
+  return task;
+};
+
+const addChecklistItem = async (req, res) => {
+  try {
+    const task = await findEditableTask(req, res);
+    if (!task) return;
+
+    const before = snapshotTask(task);
+
+    if (task.checklist.length >= MAX_CHECKLIST_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `Checklist cannot exceed ${MAX_CHECKLIST_ITEMS} items`
+      });
+    }
+
+    task.checklist.push({
+      text: req.body.text,
+      completed: req.body.completed
+    });
+
+    await task.save();
+
+    await recordActivity({
+      task,
+      userId: req.user._id,
+      action: 'update',
+      before,
+      after: snapshotTask(task)
+    });
+    queueTaskEvent('update', task, before.status);
+
+    await task.populate(taskPopulate(req.user._id));
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist item added successfully',
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Add checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding checklist item',
+      error: error.message
+    });
+  }
+};
+
+const updateChecklistItem = async (req, res) => {
+  try {
+    const { text, completed } = req.body;
+
+    const task = await findEditableTask(req, res);
+    if (!task) return;
+
+    const before = snapshotTask(task);
+
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    if (text !== undefined) item.text = text;
+    if (completed !== undefined) item.completed = completed;
+
+    // Checking off the last open item completes the task, unless an
+    // unfinished dependency still blocks it
+    const isCompleting = completed &&
+      task.status !== 'completed' &&
+      task.checklist.every(entry => entry.completed) &&
+      (await findBlockers(task.blockedBy, 'completed')).length === 0;
+
+    if (isCompleting) {
+      task.status = 'completed';
+    }
+
+    await task.save();
+
+    await recordActivity({
+      task,
+      userId: req.user._id,
+      action: 'update',
+      before,
+      after: snapshotTask(task)
+    });
+    queueTaskEvent('update', task, before.status);
+
+    const nextTask = isCompleting ? await createNextOccurrence(task, req.user._id) : null;
+
+    await task.populate(taskPopulate(req.user._id));
+
+    res.json({
+      success: true,
+      message: 'Checklist item updated successfully',
+      data: { task, nextTask }
+    });
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating checklist item',
+      error: error.message
+    });
+  }
+};
+
+const reorderChecklist = async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+
+    const task = await findEditableTask(req, res);
+    if (!task) return;
+
+    const before = snapshotTask(task);
+
+    const currentIds = task.checklist.map(item => item._id.toString()).sort();
+    const requestedIds = [...itemIds].sort();
+
+    if (
+      currentIds.length !== requestedIds.length ||
+      currentIds.some((id, index) => id !== requestedIds[index])
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'itemIds must list every checklist item exactly once'
+      });
+    }
+
+    task.checklist = itemIds.map(id => task.checklist.id(id).toObject());
+
+    await task.save();
+
+    await recordActivity({
+      task,
+      userId: req.user._id,
+      action: 'update',
+      before,
+      after: snapshotTask(task)
+    });
+    queueTaskEvent('update', task, before.status);
+
+    await task.populate(taskPopulate(req.user._id));
+
+    res.json({
+      success: true,
+      message: 'Checklist reordered successfully',
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Reorder checklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering checklist',
+      error: error.message
+    });
+  }
+};
+
+const deleteChecklistItem = async (req, res) => {
+  try {
+    const task = await findEditableTask(req, res);
+    if (!task) return;
+
+    const before = snapshotTask(task);
+
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    item.deleteOne();
+
+    await task.save();
+
+    await recordActivity({
+      task,
+      userId: req.user._id,
+      action: 'update',
+      before,
+      after: snapshotTask(task)
+    });
+    queueTaskEvent('update', task, before.status);
+
+    await task.populate(taskPopulate(req.user._id));
+
+    res.json({
+      success: true,
+      message: 'Checklist item deleted successfully',
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Delete checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting checklist item',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  addChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  deleteChecklistItem
+};
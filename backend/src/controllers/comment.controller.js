@@ -0,0 +1,234 @@
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const { hasRole, findTaskForUser } = require('../utils/permissions');
+const {
+  DEFAULT_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery
+} = require('../utils/pagination');
+const { resolveMentions } = require('../utils/mentions');
+const { createNotifications } = require('../utils/notifications');
+
+const AUTHOR_FIELDS = 'username fullName';
+
+const COMMENT_POPULATE = [
+  { path: 'user', select: AUTHOR_FIELDS },
+  { path: 'mentions', select: AUTHOR_FIELDS }
+];
+
+// Anyone who can see the task may read and write comments. Sends the 404
+// response itself and resolves to { task: null } when the task is not visible.
+const findCommentableTask = async (req, res) => {
+  const result = await findTaskForUser(req.params.id, req.user._id);
+
+  if (!result.task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  return result;
+};
+
+// Loads a comment on the task, sending the 404 response itself when missing
+const findComment = async (req, res, task) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+// Oldest first, so threads read top to bottom
+const getComments = async (req, res) => {
+  try {
+    const { cursor, limit = DEFAULT_LIMIT } = req.query;
+
+    const { task } = await findCommentableTask(req, res);
+    if (!task) return;
+
+    const query = { task: task._id };
+
+    if (cursor) {
+      const position = decodeCursor(cursor, 'createdAt', 'asc');
+
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      query.$and = [buildCursorQuery(position, 'createdAt', 'asc')];
+    }
+
+    const comments = await Comment.find(query)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .populate(COMMENT_POPULATE);
+
+    const hasMore = comments.length > limit;
+    if (hasMore) comments.pop();
+
+    const nextCursor = hasMore
+      ? encodeCursor(comments[comments.length - 1], 'createdAt', 'asc')
+      : null;
+
+    const total = await Comment.countDocuments({ task: task._id });
+
+    res.json({
+      success: true,
+      count: comments.length,
+      data: {
+        comments,
+        total,
+        pagination: { limit, hasMore, nextCursor }
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments',
+      error: error.message
+    });
+  }
+};
+
+const createComment = async (req, res) => {
+  try {
+    const { task } = await findCommentableTask(req, res);
+    if (!task) return;
+
+    const mentions = await resolveMentions(req.body.body, task);
+
+    const comment = await Comment.create({
+      task: task._id,
+      user: req.user._id,
+      body: req.body.body,
+      mentions
+    });
+
+    await createNotifications({
+      userIds: mentions,
+      type: 'mention',
+      actorId: req.user._id,
+      task,
+      comment
+    });
+
+    await comment.populate(COMMENT_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: { comment }
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding comment',
+      error: error.message
+    });
+  }
+};
+
+// Only the author may edit. Users mentioned for the first time by the edit
+// are notified; earlier mentions are not notified again.
+const updateComment = async (req, res) => {
+  try {
+    const { task } = await findCommentableTask(req, res);
+    if (!task) return;
+
+    const comment = await findComment(req, res, task);
+    if (!comment) return;
+
+    if (!comment.user.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    const previous = comment.mentions.map(id => id.toString());
+    const mentions = await resolveMentions(req.body.body, task);
+
+    comment.body = req.body.body;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await createNotifications({
+      userIds: mentions.filter(id => !previous.includes(id.toString())),
+      type: 'mention',
+      actorId: req.user._id,
+      task,
+      comment
+    });
+
+    await comment.populate(COMMENT_POPULATE);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: { comment }
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating comment',
+      error: error.message
+    });
+  }
+};
+
+// Authors can delete their own comments; the task owner (or project owner)
+// can delete any comment on it
+const deleteComment = async (req, res) => {
+  try {
+    const { task, role } = await findCommentableTask(req, res);
+    if (!task) return;
+
+    const comment = await findComment(req, res, task);
+    if (!comment) return;
+
+    if (!comment.user.equals(req.user._id) && !hasRole(role, 'owner')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this comment'
+      });
+    }
+
+    await Notification.deleteMany({ comment: comment._id });
+    await comment.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
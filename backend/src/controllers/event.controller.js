@@ -0,0 +1,73 @@
+const Session = require('../models/Session');
+const { subscribe, getEventsSince } = require('../utils/events');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+const writeEvent = (res, { id, event, data }) => {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${data}\n\n`);
+};
+
+// Whether the access token the stream was opened with still holds: it has
+// not expired and its session still exists. API keys cannot open a stream.
+const isStillAuthorized = async (req) => {
+  if (req.tokenExpiresAt && req.tokenExpiresAt <= new Date()) return false;
+  return !!(await Session.exists({ _id: req.sessionId }));
+};
+
+// Server-Sent Events stream of the caller's task events. A client that
+// reconnects with Last-Event-ID (header or lastEventId query parameter)
+// first receives what it missed, or a "reset" event when that is no longer
+// available and it should reload instead.
+const streamEvents = async (req, res) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Writing the backlog and subscribing happen in the same tick, so no
+  // event can fall between the two
+  if (lastEventId) {
+    const missed = getEventsSince(req.user._id, lastEventId);
+
+    if (missed) {
+      missed.forEach(entry => writeEvent(res, entry));
+    } else {
+      res.write('event: reset\ndata: {}\n\n');
+    }
+  }
+
+  const unsubscribe = subscribe(req.user._id, entry => writeEvent(res, entry));
+
+  // Comments keep proxies from closing an idle connection. The session is
+  // checked at the same time, so a revoked device stops receiving events,
+  // and so does a stream whose access token expired (the client reconnects
+  // with a renewed one).
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await isStillAuthorized(req))) {
+        res.end();
+        return;
+      }
+      res.write(': ping\n\n');
+    } catch (error) {
+      console.error('Event stream heartbeat error:', error);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+module.exports = {
+  streamEvents
+};
@@ -0,0 +1,198 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const {
+  DEFAULT_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery
+} = require('../utils/pagination');
+const { PREFERENCE_KEYS } = require('../utils/notifications');
+
+const PREFERENCE_FIELDS = Object.values(PREFERENCE_KEYS);
+
+const NOTIFICATION_POPULATE = [
+  { path: 'actor', select: 'username fullName' },
+  { path: 'task', select: 'title project deletedAt' }
+];
+
+// Newest first
+const getNotifications = async (req, res) => {
+  try {
+    const { unread, cursor, limit = DEFAULT_LIMIT } = req.query;
+
+    const query = { user: req.user._id };
+    if (unread) query.readAt = null;
+
+    if (cursor) {
+      const position = decodeCursor(cursor, 'createdAt', 'desc');
+
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      query.$and = [buildCursorQuery(position, 'createdAt', 'desc')];
+    }
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate(NOTIFICATION_POPULATE);
+
+    const hasMore = notifications.length > limit;
+    if (hasMore) notifications.pop();
+
+    const nextCursor = hasMore
+      ? encodeCursor(notifications[notifications.length - 1], 'createdAt', 'desc')
+      : null;
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      data: {
+        notifications,
+        pagination: { limit, hasMore, nextCursor }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications',
+      error: error.message
+    });
+  }
+};
+
+const getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.json({
+      success: true,
+      data: { count }
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unread count',
+      error: error.message
+    });
+  }
+};
+
+const markRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    await notification.populate(NOTIFICATION_POPULATE);
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification',
+      error: error.message
+    });
+  }
+};
+
+const markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { count: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notifications',
+      error: error.message
+    });
+  }
+};
+
+const getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      data: { preferences: user.notificationPreferences }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notification preferences',
+      error: error.message
+    });
+  }
+};
+
+// Only the switches present in the body change
+const updatePreferences = async (req, res) => {
+  try {
+    const updates = {};
+    PREFERENCE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        updates[`notificationPreferences.${field}`] = req.body[field];
+      });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { preferences: user.notificationPreferences }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification preferences',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences
+};
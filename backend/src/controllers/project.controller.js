@@ -0,0 +1,314 @@
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { hasRole } = require('../utils/permissions');
+const { purgeTasks } = require('../utils/trash');
+
+const MEMBER_FIELDS = 'username email fullName';
+
+// Sends the 404/403 response itself and resolves to null when the caller
+// lacks the required role on the project.
+const findProjectForUser = async (req, res, minimumRole) => {
+  const project = await Project.findById(req.params.id)
+    .populate('members.user', MEMBER_FIELDS);
+  const role = project ? project.getRole(req.user._id) : null;
+
+  if (!role) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  if (!hasRole(role, minimumRole)) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+const getProjects = async (req, res) => {
+  try {
+    const projects = await Project.find({ 'members.user': req.user._id })
+      .populate('members.user', MEMBER_FIELDS)
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: projects.length,
+      data: {
+        projects: projects.map(project => ({
+          ...project.toJSON(),
+          role: project.getRole(req.user._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching projects',
+      error: error.message
+    });
+  }
+};
+
+const getProject = async (req, res) => {
+  try {
+    const project = await findProjectForUser(req, res, 'viewer');
+    if (!project) return;
+
+    res.json({
+      success: true,
+      data: {
+        project: {
+          ...project.toJSON(),
+          role: project.getRole(req.user._id)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching project',
+      error: error.message
+    });
+  }
+};
+
+const createProject = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const project = await Project.create({
+      name,
+      description,
+      owner: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+
+    await project.populate('members.user', MEMBER_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: {
+        project: { ...project.toJSON(), role: 'owner' }
+      }
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating project',
+      error: error.message
+    });
+  }
+};
+
+const updateProject = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const project = await findProjectForUser(req, res, 'owner');
+    if (!project) return;
+
+    if (name !== undefined) project.name = name;
+    if (description !== undefined) project.description = description;
+
+    await project.save();
+
+    res.json({
+      success: true,
+      message: 'Project updated successfully',
+      data: {
+        project: { ...project.toJSON(), role: 'owner' }
+      }
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating project',
+      error: error.message
+    });
+  }
+};
+
+const deleteProject = async (req, res) => {
+  try {
+    const project = await findProjectForUser(req, res, 'owner');
+    if (!project) return;
+
+    await purgeTasks({ project: project._id });
+    await project.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting project',
+      error: error.message
+    });
+  }
+};
+
+const addMember = async (req, res) => {
+  try {
+    const { usernameOrEmail, role = 'viewer' } = req.body;
+
+    const project = await findProjectForUser(req, res, 'owner');
+    if (!project) return;
+
+    const user = await User.findOne({
+      $or: [
+        { email: usernameOrEmail.toLowerCase() },
+        { username: usernameOrEmail }
+      ]
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (project.getRole(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a member of this project'
+      });
+    }
+
+    project.members.push({ user: user._id, role });
+    await project.save();
+    await project.populate('members.user', MEMBER_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: {
+        project: { ...project.toJSON(), role: 'owner' }
+      }
+    });
+  } catch (error) {
+    console.error('Add member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding member',
+      error: error.message
+    });
+  }
+};
+
+const updateMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const project = await findProjectForUser(req, res, 'owner');
+    if (!project) return;
+
+    const member = project.members.find(m => m.user?._id.equals(req.params.userId));
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The project owner\'s role cannot be changed'
+      });
+    }
+
+    member.role = role;
+    await project.save();
+
+    res.json({
+      success: true,
+      message: 'Member updated successfully',
+      data: {
+        project: { ...project.toJSON(), role: 'owner' }
+      }
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating member',
+      error: error.message
+    });
+  }
+};
+
+// Owners can remove anyone but themselves; other members can only leave.
+const removeMember = async (req, res) => {
+  try {
+    const isSelf = req.user._id.equals(req.params.userId);
+
+    const project = await findProjectForUser(req, res, isSelf ? 'viewer' : 'owner');
+    if (!project) return;
+
+    const member = project.members.find(m => m.user?._id.equals(req.params.userId));
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The project owner cannot be removed'
+      });
+    }
+
+    project.members = project.members.filter(m => m !== member);
+    await project.save();
+
+    // A former member can no longer see the project's tasks, so they are
+    // not left assigned to or watching any of them
+    const userId = member.user._id;
+    await Task.updateMany({ project: project._id, assignee: userId }, { $set: { assignee: null } });
+    await Task.updateMany({ project: project._id, watchers: userId }, { $pull: { watchers: userId } });
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the project' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing member',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  addMember,
+  updateMember,
+  removeMember
+};
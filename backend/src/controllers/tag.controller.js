@@ -0,0 +1,135 @@
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const getTags = async (req, res) => {
+  try {
+    const tags = await Tag.find({ user: req.user._id })
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: tags.length,
+      data: { tags }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tags',
+      error: error.message
+    });
+  }
+};
+
+const createTag = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    const tag = await Tag.create({
+      name,
+      color,
+      user: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: { tag }
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tag with this name already exists'
+      });
+    }
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating tag',
+      error: error.message
+    });
+  }
+};
+
+const updateTag = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    const tag = await Tag.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    if (name !== undefined) tag.name = name;
+    if (color !== undefined) tag.color = color;
+
+    await tag.save();
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: { tag }
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tag with this name already exists'
+      });
+    }
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tag',
+      error: error.message
+    });
+  }
+};
+
+const deleteTag = async (req, res) => {
+  try {
+    const tag = await Tag.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    await Task.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tag',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag
+};
@@ -1,35 +1,287 @@
+const { validationResult } = require('express-validator');
 const Task = require('../models/Task');
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const {
+  DEFAULT_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery
+} = require('../utils/pagination');
+const {
+  hasRole,
+  findTaskForUser,
+  findOutsiders,
+  getProjectRole,
+  taskScope
+} = require('../utils/permissions');
+const { createNextOccurrence } = require('../utils/recurrence');
+const { snapshotTask, recordActivity } = require('../utils/activity');
+const { queueTaskEvent } = require('../utils/taskEvents');
+const Activity = require('../models/Activity');
+const { getPurgeDate, purgeTasks } = require('../utils/trash');
+const { getMovePosition } = require('../utils/position');
+const { validateDependencies, findBlockers } = require('../utils/dependencies');
+const { toCsv } = require('../utils/csv');
+const {
+  EXPORT_COLUMNS,
+  toExportRecord,
+  toCsvRow,
+  parseImportRows
+} = require('../utils/transfer');
+const { createTaskValidation } = require('../validators/task.validators');
+const { taskPopulate } = require('../utils/taskPopulate');
+
+const ASSIGNEE_FIELDS = 'username fullName';
+const EXPORT_LIMIT = 10000;
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'checklist'];
+
+// Rejects assignee/watchers who cannot see the task. Sends the 400 response
+// itself and returns false when validation fails.
+const validateParticipants = async (res, task, assignee, watchers) => {
+  const userIds = [...(assignee ? [assignee] : []), ...(watchers || [])];
+  if (userIds.length === 0) return true;
+
+  const outsiders = await findOutsiders(task, userIds);
+
+  if (outsiders.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: task.project
+        ? 'Assignee and watchers must be members of the project'
+        : 'Personal tasks can only be assigned to or watched by their owner'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Tags are private to their creator. Tags already on a (shared) task may
+// stay, but only the caller's own tags can be added. Sends the 400 response
+// itself and returns false when validation fails.
+const validateTags = async (res, task, tags, userId) => {
+  if (!tags) return true;
+
+  const added = [...new Set(tags)].filter(id => !task.tags.some(tag => tag.equals(id)));
+  if (added.length === 0) return true;
+
+  const owned = await Tag.countDocuments({ _id: { $in: added }, user: userId });
+
+  if (owned !== added.length) {
+    res.status(400).json({
+      success: false,
+      message: 'One or more tags do not exist'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Other members' tags are hidden from the caller, so setting the tags of a
+// shared task only replaces the caller's own and keeps everyone else's
+const mergeTags = async (task, tags, userId) => {
+  const othersTags = await Tag.find({ _id: { $in: task.tags }, user: { $ne: userId } }).distinct('_id');
+  return [...new Set([...othersTags, ...tags].map(id => id.toString()))];
+};
+
+// Rejects prerequisites from outside the task's scope or that would close a
+// cycle. Sends the 400 response itself and returns false when validation fails.
+const validateBlockedBy = async (res, task, blockedBy) => {
+  if (!blockedBy) return true;
+
+  const message = await validateDependencies(task, blockedBy);
+
+  if (message) {
+    res.status(400).json({
+      success: false,
+      message
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Starting or completing a task waits for its prerequisites unless force is
+// set. Sends the 409 response itself and returns false when the task is blocked.
+const checkNotBlocked = async (res, blockedBy, status, force) => {
+  if (force) return true;
+
+  const blockers = await findBlockers(blockedBy, status);
+  if (blockers.length === 0) return true;
+
+  res.status(409).json({
+    success: false,
+    message: `This task is blocked by ${blockers.map(blocker => `"${blocker.title}"`).join(', ')}`,
+    data: { blockers }
+  });
+  return false;
+};
+
+// Translates the getTasks filter parameters into a MongoDB query. Callers
+// must check project membership first.
+const buildTaskFilter = (params, userId) => {
+  const {
+    status,
+    priority,
+    search,
+    project,
+    assignee,
+    tags,
+    tagMatch = 'any',
+    dueFrom,
+    dueTo
+  } = params;
+  
+  const query = taskScope(userId, project);
+  
+  if (status) {
+    query.status = status;
+  }
+  
+  if (priority) {
+    query.priority = priority;
+  }
+  
+  if (assignee === 'me') {
+    query.assignee = userId;
+  } else if (assignee === 'unassigned') {
+    query.assignee = null;
+  } else if (assignee) {
+    query.assignee = assignee;
+  }
+  
+  if (tags) {
+    const tagIds = tags.split(',');
+    query.tags = tagMatch === 'all' ? { $all: tagIds } : { $in: tagIds };
+  }
+  
+  // dueFrom is inclusive and dueTo exclusive so adjacent windows never overlap
+  if (dueFrom || dueTo) {
+    query.dueDate = {};
+    if (dueFrom) query.dueDate.$gte = dueFrom;
+    if (dueTo) query.dueDate.$lt = dueTo;
+  }
+  
+  if (search) {
+    query.$or = [
+      { title: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } }
+    ];
+  }
+  
+  return query;
+};
+
+// Runs an imported row through the same rules as POST /api/tasks. Only
+// IMPORT_FIELDS are taken from the row; tags are matched by name.
+const validateImportRow = async (row) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: [{ field: null, message: 'Row must be an object' }] };
+  }
+
+  const body = {};
+  IMPORT_FIELDS.forEach(field => {
+    if (row[field] !== undefined && row[field] !== null) body[field] = row[field];
+  });
+
+  const fakeReq = { body };
+  for (const chain of createTaskValidation) {
+    await chain.run(fakeReq);
+  }
+
+  const errors = validationResult(fakeReq).array().map(err => ({
+    field: err.path,
+    message: err.msg
+  }));
+
+  const tags = row.tags ?? [];
+  const validTags = Array.isArray(tags) && tags.length <= 20 &&
+    tags.every(name => typeof name === 'string' && name.trim() && name.trim().length <= 30);
+
+  if (!validTags) {
+    errors.push({
+      field: 'tags',
+      message: 'Tags must be a list of at most 20 tag names of up to 30 characters'
+    });
+  }
+
+  return { data: { ...body, tags: validTags ? tags.map(name => name.trim()) : [] }, errors };
+};
+
+// Maps tag names to the user's tag IDs, creating tags that do not exist yet
+const resolveTagNames = async (names, userId) => {
+  const tags = await Tag.find({ user: userId });
+  const byName = new Map(tags.map(tag => [tag.name.toLowerCase(), tag._id]));
+
+  for (const name of names) {
+    if (!byName.has(name.toLowerCase())) {
+      const tag = await Tag.create({ name, user: userId });
+      byName.set(name.toLowerCase(), tag._id);
+    }
+  }
+
+  return byName;
+};
 
 const getTasks = async (req, res) => {
   try {
-    const { status, priority, search, sortBy = 'createdAt', order = 'desc' } = req.query;
-    
-    const query = { user: req.user._id };
+    const {
+      project,
+      cursor,
+      sortBy = 'createdAt',
+      order = 'desc',
+      limit = DEFAULT_LIMIT
+    } = req.query;
     
-    if (status) {
-      query.status = status;
+    if (project && !(await getProjectRole(project, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
     }
     
-    if (priority) {
-      query.priority = priority;
-    }
+    const query = buildTaskFilter(req.query, req.user._id);
     
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    if (cursor) {
+      const position = decodeCursor(cursor, sortBy, order);
+
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      query.$and = [buildCursorQuery(position, sortBy, order)];
     }
     
+    // _id breaks ties so pages stay stable when sort values repeat
     const sortOrder = order === 'asc' ? 1 : -1;
-    const sortOptions = { [sortBy]: sortOrder };
+    const sortOptions = { [sortBy]: sortOrder, _id: sortOrder };
     
-    const tasks = await Task.find(query).sort(sortOptions);
+    const tasks = await Task.find(query)
+      .sort(sortOptions)
+      .limit(limit + 1)
+      .populate(taskPopulate(req.user._id));
+
+    const hasMore = tasks.length > limit;
+    if (hasMore) tasks.pop();
+
+    const nextCursor = hasMore
+      ? encodeCursor(tasks[tasks.length - 1], sortBy, order)
+      : null;
     
     res.json({
       success: true,
       count: tasks.length,
-      data: { tasks }
+      data: {
+        tasks,
+        pagination: { limit, hasMore, nextCursor }
+      }
     });
   } catch (error) {
     console.error('Get tasks error:', error);
@@ -43,10 +295,7 @@ const getTasks = async (req, res) => {
 
 const getTask = async (req, res) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      user: req.user._id
-    });
+    const { task, role } = await findTaskForUser(req.params.id, req.user._id);
     
     if (!task) {
       return res.status(404).json({
@@ -55,9 +304,11 @@ const getTask = async (req, res) => {
       });
     }
     
+    await task.populate(taskPopulate(req.user._id));
+    
     res.json({
       success: true,
-      data: { task }
+      data: { task, role }
     });
   } catch (error) {
     console.error('Get task error:', error);
@@ -71,16 +322,73 @@ const getTask = async (req, res) => {
 
 const createTask = async (req, res) => {
   try {
-    const { title, description, status, priority, dueDate } = req.body;
+    const {
+      title,
+      description,
+      status,
+      priority,
+      dueDate,
+      checklist,
+      project,
+      assignee,
+      watchers,
+      tags,
+      blockedBy,
+      recurrence,
+      force
+    } = req.body;
+    
+    if (project) {
+      const role = await getProjectRole(project, req.user._id);
+      
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+      
+      if (!hasRole(role, 'editor')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to add tasks to this project'
+        });
+      }
+    }
     
-    const task = await Task.create({
+    const task = new Task({
       title,
       description,
       status,
       priority,
       dueDate,
-      user: req.user._id
+      checklist: checklist?.map(({ text, completed }) => ({ text, completed })),
+      user: req.user._id,
+      project: project || null,
+      assignee: assignee || null,
+      watchers,
+      tags: tags ? [...new Set(tags)] : [],
+      recurrence: recurrence ? { ...recurrence, occurrence: 1 } : null
+    });
+    
+    if (!(await validateParticipants(res, task, assignee, watchers))) return;
+    if (!(await validateTags(res, { tags: [] }, tags, req.user._id))) return;
+    if (!(await validateBlockedBy(res, task, blockedBy))) return;
+    
+    if (blockedBy) task.blockedBy = [...new Set(blockedBy)];
+    if (!(await checkNotBlocked(res, task.blockedBy, task.status, force))) return;
+    
+    await task.save();
+    
+    await recordActivity({
+      task,
+      userId: req.user._id,
+      action: 'create',
+      after: snapshotTask(task)
     });
+    queueTaskEvent('create', task);
+    
+    await task.populate(taskPopulate(req.user._id));
     
     res.status(201).json({
       success: true,
@@ -99,12 +407,21 @@ const createTask = async (req, res) => {
 
 const updateTask = async (req, res) => {
   try {
-    const { title, description, status, priority, dueDate } = req.body;
+    const {
+      title,
+      description,
+      status,
+      priority,
+      dueDate,
+      assignee,
+      watchers,
+      tags,
+      blockedBy,
+      recurrence,
+      force
+    } = req.body;
     
-    let task = await Task.findOne({
-      _id: req.params.id,
-      user: req.user._id
-    });
+    const { task, role } = await findTaskForUser(req.params.id, req.user._id);
     
     if (!task) {
       return res.status(404).json({
@@ -113,18 +430,59 @@ const updateTask = async (req, res) => {
       });
     }
     
+    if (!hasRole(role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to modify this task'
+      });
+    }
+    
+    if (!(await validateParticipants(res, task, assignee, watchers))) return;
+    if (!(await validateTags(res, task, tags, req.user._id))) return;
+    if (!(await validateBlockedBy(res, task, blockedBy))) return;
+    
+    if (status !== undefined && status !== task.status) {
+      const dependencies = blockedBy !== undefined ? blockedBy : task.blockedBy;
+      if (!(await checkNotBlocked(res, dependencies, status, force))) return;
+    }
+    
+    const isCompleting = status === 'completed' && task.status !== 'completed';
+    const before = snapshotTask(task);
+    
     if (title !== undefined) task.title = title;
     if (description !== undefined) task.description = description;
     if (status !== undefined) task.status = status;
     if (priority !== undefined) task.priority = priority;
     if (dueDate !== undefined) task.dueDate = dueDate;
+    if (assignee !== undefined) task.assignee = assignee;
+    if (watchers !== undefined) task.watchers = watchers;
+    if (tags !== undefined) task.tags = await mergeTags(task, tags, req.user._id);
+    if (blockedBy !== undefined) task.blockedBy = [...new Set(blockedBy)];
+    if (recurrence !== undefined) {
+      task.recurrence = recurrence
+        ? { ...recurrence, occurrence: task.recurrence?.occurrence || 1 }
+        : null;
+    }
     
     await task.save();
     
+    await recordActivity({
+      task,
+      userId: req.user._id,
+      action: 'update',
+      before,
+      after: snapshotTask(task)
+    });
+    queueTaskEvent('update', task, before.status);
+    
+    const nextTask = isCompleting ? await createNextOccurrence(task, req.user._id) : null;
+    
+    await task.populate(taskPopulate(req.user._id));
+    
     res.json({
       success: true,
       message: 'Task updated successfully',
-      data: { task }
+      data: { task, nextTask }
     });
   } catch (error) {
     console.error('Update task error:', error);
@@ -136,12 +494,93 @@ const updateTask = async (req, res) => {
   }
 };
 
-const deleteTask = async (req, res) => {
+const moveTask = async (req, res) => {
   try {
-    const task = await Task.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user._id
+    const { status, beforeId, force } = req.body;
+    
+    const { task, role } = await findTaskForUser(req.params.id, req.user._id);
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+    
+    if (!hasRole(role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to modify this task'
+      });
+    }
+    
+    const targetStatus = status || task.status;
+    let beforeTask = null;
+    
+    if (targetStatus !== task.status && !(await checkNotBlocked(res, task.blockedBy, targetStatus, force))) {
+      return;
+    }
+    
+    if (beforeId) {
+      if (beforeId === task._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A task cannot be placed before itself'
+        });
+      }
+      
+      beforeTask = await Task.findOne({
+        _id: beforeId,
+        ...taskScope(task.user, task.project),
+        status: targetStatus
+      });
+      
+      if (!beforeTask) {
+        return res.status(400).json({
+          success: false,
+          message: 'beforeId must be a task in the target column'
+        });
+      }
+    }
+    
+    const isCompleting = targetStatus === 'completed' && task.status !== 'completed';
+    const before = snapshotTask(task);
+    
+    task.position = await getMovePosition(task, targetStatus, beforeTask);
+    task.status = targetStatus;
+    await task.save();
+    
+    await recordActivity({
+      task,
+      userId: req.user._id,
+      action: 'update',
+      before,
+      after: snapshotTask(task)
+    });
+    queueTaskEvent('update', task, before.status);
+    
+    const nextTask = isCompleting ? await createNextOccurrence(task, req.user._id) : null;
+    
+    await task.populate(taskPopulate(req.user._id));
+    
+    res.json({
+      success: true,
+      message: 'Task moved successfully',
+      data: { task, nextTask }
+    });
+  } catch (error) {
+    console.error('Move task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moving task',
+      error: error.message
     });
+  }
+};
+
+const deleteTask = async (req, res) => {
+  try {
+    const { task, role } = await findTaskForUser(req.params.id, req.user._id);
     
     if (!task) {
       return res.status(404).json({
@@ -150,9 +589,29 @@ const deleteTask = async (req, res) => {
       });
     }
     
+    if (!hasRole(role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this task'
+      });
+    }
+    
+    task.deletedAt = new Date();
+    task.deletedBy = req.user._id;
+    await task.save();
+    
+    await recordActivity({
+      task,
+      userId: req.user._id,
+      action: 'delete',
+      before: snapshotTask(task)
+    });
+    queueTaskEvent('delete', task);
+    
     res.json({
       success: true,
-      message: 'Task deleted successfully'
+      message: 'Task moved to trash',
+      data: { purgeAt: getPurgeDate(task.deletedAt) }
     });
   } catch (error) {
     console.error('Delete task error:', error);
@@ -164,30 +623,549 @@ const deleteTask = async (req, res) => {
   }
 };
 
+const bulkUpdateTasks = async (req, res) => {
+  try {
+    const { ids, action, updates = {}, force } = req.body;
+    const results = [];
+    
+    // Each task is authorized and saved on its own so one failure does not
+    // roll back or block the rest
+    for (const id of [...new Set(ids)]) {
+      try {
+        const { task, role } = await findTaskForUser(id, req.user._id);
+        
+        if (!task) {
+          results.push({ id, success: false, message: 'Task not found' });
+          continue;
+        }
+        
+        if (!hasRole(role, 'editor')) {
+          results.push({ id, success: false, message: 'Permission denied' });
+          continue;
+        }
+        
+        const before = snapshotTask(task);
+        let nextTask = null;
+        
+        if (action === 'delete') {
+          task.deletedAt = new Date();
+          task.deletedBy = req.user._id;
+          await task.save();
+          
+          await recordActivity({ task, userId: req.user._id, action: 'delete', before });
+          queueTaskEvent('delete', task);
+        } else {
+          const isChangingStatus = updates.status !== undefined && updates.status !== task.status;
+          
+          if (isChangingStatus && !force && (await findBlockers(task.blockedBy, updates.status)).length > 0) {
+            results.push({ id, success: false, message: 'Blocked by unfinished tasks' });
+            continue;
+          }
+          
+          const isCompleting = updates.status === 'completed' && task.status !== 'completed';
+          
+          if (updates.status !== undefined) task.status = updates.status;
+          if (updates.priority !== undefined) task.priority = updates.priority;
+          if (updates.dueDate !== undefined) task.dueDate = updates.dueDate;
+          
+          await task.save();
+          
+          await recordActivity({
+            task,
+            userId: req.user._id,
+            action: 'update',
+            before,
+            after: snapshotTask(task)
+          });
+          queueTaskEvent('update', task, before.status);
+          
+          if (isCompleting) {
+            nextTask = await createNextOccurrence(task, req.user._id);
+          }
+        }
+        
+        results.push({
+          id,
+          success: true,
+          ...(nextTask && { nextTaskId: nextTask._id })
+        });
+      } catch (error) {
+        console.error(`Bulk ${action} error for task ${id}:`, error);
+        results.push({ id, success: false, message: error.message });
+      }
+    }
+    
+    const succeeded = results.filter(result => result.success).length;
+    
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} tasks ${action === 'delete' ? 'moved to trash' : 'updated'}`,
+      data: {
+        results,
+        succeeded,
+        failed: results.length - succeeded
+      }
+    });
+  } catch (error) {
+    console.error('Bulk update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying bulk operation',
+      error: error.message
+    });
+  }
+};
+
+const exportTasks = async (req, res) => {
+  try {
+    const {
+      project,
+      format = 'csv',
+      sortBy = 'createdAt',
+      order = 'desc'
+    } = req.query;
+    
+    if (project && !(await getProjectRole(project, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+    
+    const sortOrder = order === 'asc' ? 1 : -1;
+    
+    const tasks = await Task.find(buildTaskFilter(req.query, req.user._id))
+      .sort({ [sortBy]: sortOrder, _id: sortOrder })
+      .limit(EXPORT_LIMIT)
+      .populate({ path: 'tags', select: 'name', match: { user: req.user._id } });
+    
+    const records = tasks.map(toExportRecord);
+    const filename = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+    
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    if (format === 'json') {
+      return res.type('application/json').send(JSON.stringify({
+        exportedAt: new Date(),
+        count: records.length,
+        tasks: records
+      }, null, 2));
+    }
+    
+    res.type('text/csv').send(toCsv([EXPORT_COLUMNS, ...records.map(toCsvRow)]));
+  } catch (error) {
+    console.error('Export tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting tasks',
+      error: error.message
+    });
+  }
+};
+
+// Validates every row before writing anything. Nothing is imported when a
+// row fails, so a corrected file can simply be uploaded again.
+const importTasks = async (req, res) => {
+  try {
+    const { project, format = 'csv', dryRun = false } = req.query;
+    
+    if (project) {
+      const role = await getProjectRole(project, req.user._id);
+      
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+      
+      if (!hasRole(role, 'editor')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to add tasks to this project'
+        });
+      }
+    }
+    
+    if (format === 'csv' && typeof req.body !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the CSV file as the request body with Content-Type text/csv'
+      });
+    }
+    
+    let rows;
+    try {
+      rows = parseImportRows(req.body, format);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not parse ${format.toUpperCase()} file: ${error.message}`
+      });
+    }
+    
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file does not contain any tasks'
+      });
+    }
+    
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot import more than ${MAX_IMPORT_ROWS} tasks at once`
+      });
+    }
+    
+    const valid = [];
+    const errors = [];
+    
+    for (const [index, row] of rows.entries()) {
+      const result = await validateImportRow(row);
+      
+      if (result.errors.length > 0) {
+        errors.push({ row: index + 1, errors: result.errors });
+      } else {
+        valid.push(result.data);
+      }
+    }
+    
+    const summary = {
+      dryRun,
+      total: rows.length,
+      valid: valid.length,
+      invalid: errors.length,
+      imported: 0,
+      errors
+    };
+    
+    if (errors.length > 0 && !dryRun) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} of ${rows.length} rows have errors. Nothing was imported`,
+        data: summary
+      });
+    }
+    
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: errors.length > 0
+          ? `${errors.length} of ${rows.length} rows have errors`
+          : `All ${rows.length} rows are valid`,
+        data: summary
+      });
+    }
+    
+    const tagIds = await resolveTagNames(
+      [...new Set(valid.flatMap(data => data.tags))],
+      req.user._id
+    );
+    
+    const tasks = await Task.insertMany(valid.map(data => ({
+      ...data,
+      checklist: data.checklist?.map(({ text, completed }) => ({ text, completed })),
+      tags: [...new Set(data.tags.map(name => tagIds.get(name.toLowerCase()).toString()))],
+      user: req.user._id,
+      project: project || null
+    })));
+    
+    for (const task of tasks) {
+      await recordActivity({
+        task,
+        userId: req.user._id,
+        action: 'create',
+        after: snapshotTask(task)
+      });
+      queueTaskEvent('create', task);
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: `${tasks.length} task${tasks.length === 1 ? '' : 's'} imported`,
+      data: { ...summary, imported: tasks.length }
+    });
+  } catch (error) {
+    console.error('Import tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing tasks',
+      error: error.message
+    });
+  }
+};
+
+const getTrash = async (req, res) => {
+  try {
+    const { project } = req.query;
+    
+    if (project && !(await getProjectRole(project, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+    
+    const tasks = await Task.find(taskScope(req.user._id, project, { deleted: true }))
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', ASSIGNEE_FIELDS);
+    
+    res.json({
+      success: true,
+      count: tasks.length,
+      data: {
+        tasks: tasks.map(task => ({
+          ...task.toJSON(),
+          purgeAt: getPurgeDate(task.deletedAt)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash',
+      error: error.message
+    });
+  }
+};
+
+const restoreTask = async (req, res) => {
+  try {
+    const { task, role } = await findTaskForUser(req.params.id, req.user._id, {
+      includeDeleted: true
+    });
+    
+    if (!task || !task.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+    
+    if (!hasRole(role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to restore this task'
+      });
+    }
+    
+    task.deletedAt = null;
+    task.deletedBy = null;
+    await task.save();
+    
+    await recordActivity({
+      task,
+      userId: req.user._id,
+      action: 'restore'
+    });
+    queueTaskEvent('restore', task);
+    
+    await task.populate(taskPopulate(req.user._id));
+    
+    res.json({
+      success: true,
+      message: 'Task restored successfully',
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Restore task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring task',
+      error: error.message
+    });
+  }
+};
+
+const purgeTask = async (req, res) => {
+  try {
+    const { task, role } = await findTaskForUser(req.params.id, req.user._id, {
+      includeDeleted: true
+    });
+    
+    if (!task || !task.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+    
+    if (!hasRole(role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this task'
+      });
+    }
+    
+    await purgeTasks({ _id: task._id });
+    
+    res.json({
+      success: true,
+      message: 'Task permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting task',
+      error: error.message
+    });
+  }
+};
+
+const emptyTrash = async (req, res) => {
+  try {
+    const { project } = req.query;
+    
+    if (project) {
+      const role = await getProjectRole(project, req.user._id);
+      
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+      
+      if (!hasRole(role, 'editor')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to empty this trash'
+        });
+      }
+    }
+    
+    const count = await purgeTasks(taskScope(req.user._id, project, { deleted: true }));
+    
+    res.json({
+      success: true,
+      message: 'Trash emptied successfully',
+      data: { count }
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error emptying trash',
+      error: error.message
+    });
+  }
+};
+
+const getTaskHistory = async (req, res) => {
+  try {
+    const { task } = await findTaskForUser(req.params.id, req.user._id, {
+      includeDeleted: true
+    });
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+    
+    const history = await Activity.find({ task: task._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(200)
+      .populate('user', ASSIGNEE_FIELDS)
+      .lean();
+    
+    // Assignee changes are stored as ids; resolve them for display
+    const assigneeIds = new Set();
+    history.forEach(entry => {
+      entry.changes
+        .filter(change => change.field === 'assignee')
+        .forEach(change => [change.from, change.to].filter(Boolean).forEach(id => assigneeIds.add(id)));
+    });
+    
+    const assignees = await User.find({ _id: { $in: [...assigneeIds] } }).select(ASSIGNEE_FIELDS).lean();
+    const assigneeById = new Map(assignees.map(user => [user._id.toString(), user]));
+    
+    history.forEach(entry => {
+      entry.changes
+        .filter(change => change.field === 'assignee')
+        .forEach(change => {
+          change.from = change.from ? assigneeById.get(change.from) || { _id: change.from } : null;
+          change.to = change.to ? assigneeById.get(change.to) || { _id: change.to } : null;
+        });
+    });
+    
+    res.json({
+      success: true,
+      count: history.length,
+      data: { history }
+    });
+  } catch (error) {
+    console.error('Get task history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching task history',
+      error: error.message
+    });
+  }
+};
+
 const getTaskStats = async (req, res) => {
   try {
+    const { project } = req.query;
+    
+    if (project && !(await getProjectRole(project, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+    
     const stats = await Task.aggregate([
-      { $match: { user: req.user._id } },
+      { $match: taskScope(req.user._id, project) },
       {
         $group: {
-          _id: '$status',
+          _id: { status: '$status', assignee: '$assignee' },
           count: { $sum: 1 }
         }
       }
     ]);
     
-    const formattedStats = {
+    const emptyCounts = () => ({
       total: 0,
       pending: 0,
       'in-progress': 0,
       completed: 0
-    };
+    });
+    
+    const formattedStats = emptyCounts();
+    const assigneeStats = new Map();
     
     stats.forEach(stat => {
-      formattedStats[stat._id] = stat.count;
+      const { status, assignee } = stat._id;
+      const key = assignee ? assignee.toString() : null;
+      
+      formattedStats[status] += stat.count;
       formattedStats.total += stat.count;
+      
+      if (!assigneeStats.has(key)) {
+        assigneeStats.set(key, emptyCounts());
+      }
+      const counts = assigneeStats.get(key);
+      counts[status] += stat.count;
+      counts.total += stat.count;
     });
     
+    const assignees = await User.find({
+      _id: { $in: [...assigneeStats.keys()].filter(Boolean) }
+    }).select(ASSIGNEE_FIELDS);
+    
+    // Unassigned tasks are reported with assignee: null
+    formattedStats.byAssignee = [...assigneeStats.entries()]
+      .map(([key, counts]) => ({
+        assignee: key ? assignees.find(user => user._id.toString() === key) || null : null,
+        ...counts
+      }))
+      .sort((a, b) => b.total - a.total);
+    
     res.json({
       success: true,
       data: { stats: formattedStats }
@@ -208,5 +1186,14 @@ module.exports = {
   createTask,
   updateTask,
   deleteTask,
+  bulkUpdateTasks,
+  moveTask,
+  exportTasks,
+  importTasks,
+  getTrash,
+  restoreTask,
+  purgeTask,
+  emptyTrash,
+  getTaskHistory,
   getTaskStats
 };
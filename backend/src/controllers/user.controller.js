@@ -0,0 +1,50 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const searchUsers = async (req, res) => {
+  try {
+    const { q, project } = req.query;
+
+    const query = {
+      username: { $regex: `^${escapeRegex(q)}`, $options: 'i' }
+    };
+
+    // Within a project only its members are candidates
+    if (project) {
+      const found = await Project.findById(project).select('members');
+
+      if (!found || !found.getRole(req.user._id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+
+      query._id = { $in: found.members.map(member => member.user) };
+    }
+
+    const users = await User.find(query)
+      .select('username fullName')
+      .sort({ username: 1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: { users }
+    });
+  } catch (error) {
+    console.error('Search users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching users',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  searchUsers
+};
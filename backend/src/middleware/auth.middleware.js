@@ -1,5 +1,66 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { verifyAccessToken } = require('../config/jwt');
+const { isEmailVerified, isAllowedWhileUnverified } = require('../utils/verification');
+const { isApiKey, findApiKey, touchApiKey } = require('../utils/apiKeys');
+const { getRequiredScope } = require('../utils/apiKeyScopes');
+
+// Resolves a personal API key to its owner. Sends the error response itself
+// and returns null when the key is unusable for this request.
+const authenticateApiKey = async (req, res, key) => {
+  const apiKey = await findApiKey(key);
+
+  if (!apiKey) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API key'
+    });
+    return null;
+  }
+
+  const scope = getRequiredScope(req);
+
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    res.status(403).json({
+      success: false,
+      code: 'INSUFFICIENT_SCOPE',
+      message: scope
+        ? `This API key is missing the ${scope} scope`
+        : 'API keys cannot be used for this endpoint'
+    });
+    return null;
+  }
+
+  touchApiKey(apiKey);
+  return apiKey;
+};
+
+// Resolves a JWT access token to its user id and session. Sends the error
+// response itself and returns null when the token is unusable.
+const authenticateAccessToken = async (res, token) => {
+  const decoded = verifyAccessToken(token);
+
+  if (!decoded || !decoded.sid) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+    return null;
+  }
+
+  // Revoking a session also ends its access tokens right away
+  const sessionExists = await Session.exists({ _id: decoded.sid, user: decoded.userId });
+
+  if (!sessionExists) {
+    res.status(401).json({
+      success: false,
+      message: 'Session has been revoked'
+    });
+    return null;
+  }
+
+  return decoded;
+};
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -13,17 +74,24 @@ const authMiddleware = async (req, res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
+    let userId;
+    let sessionId = null;
+    let tokenExpiresAt = null;
+    let apiKey = null;
 
-    const decoded = verifyAccessToken(token);
-    
-    if (!decoded) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
+    if (isApiKey(token)) {
+      apiKey = await authenticateApiKey(req, res, token);
+      if (!apiKey) return;
+      userId = apiKey.user;
+    } else {
+      const decoded = await authenticateAccessToken(res, token);
+      if (!decoded) return;
+      userId = decoded.userId;
+      sessionId = decoded.sid;
+      tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
     }
 
-    const user = await User.findById(decoded.userId).select('-password -refreshToken');
+    const user = await User.findById(userId).select('-password');
     
     if (!user) {
       return res.status(401).json({
@@ -32,7 +100,18 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    if (!isEmailVerified(user) && !isAllowedWhileUnverified(req)) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address to continue'
+      });
+    }
+
     req.user = user;
+    req.sessionId = sessionId;
+    req.tokenExpiresAt = tokenExpiresAt;
+    req.apiKey = apiKey;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -0,0 +1,31 @@
+const { getStore } = require('../utils/rateLimitStore');
+
+// Fixed-window limit of max requests per windowMs for each client IP.
+// name separates the counters of different limiters.
+const rateLimit = ({ name, windowMs, max, message }) => {
+  return async (req, res, next) => {
+    try {
+      const { count, resetAt } = await getStore().increment(`rate:${name}:${req.ip}`, windowMs);
+
+      if (count > max) {
+        const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          code: 'RATE_LIMITED',
+          message: message || 'Too many requests. Please try again later',
+          retryAfter
+        });
+      }
+
+      next();
+    } catch (error) {
+      // An unavailable store should not take the auth routes down with it
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Original name, as shown to users and used for downloads
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Where the storage driver keeps the contents; never sent to clients
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+attachmentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
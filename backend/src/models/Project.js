@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'editor', 'viewer'],
+    default: 'viewer'
+  }
+}, {
+  _id: false
+});
+
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema]
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ 'members.user': 1 });
+
+projectSchema.methods.getRole = function(userId) {
+  const member = this.members.find(m => {
+    const id = m.user?._id || m.user;
+    return !!id && id.equals(userId);
+  });
+  return member ? member.role : null;
+};
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Each session is a refresh token family: every
+// refresh replaces tokenHash, and presenting any older token from the
+// family revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 digest of the current refresh token
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The token it replaced, accepted for a short grace period so parallel
+  // refreshes from the same browser are not mistaken for reuse
+  previousTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,71 @@
 const mongoose = require('mongoose');
+const { MAX_CHECKLIST_ITEMS } = require('../config/taskLimits');
+
+const MAX_DEPENDENCIES = 20;
+
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [200, 'Checklist item cannot exceed 200 characters']
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  id: false
+});
+
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  // Every N days/weeks/months
+  interval: {
+    type: Number,
+    min: [1, 'Interval must be at least 1'],
+    max: [365, 'Interval cannot exceed 365'],
+    default: 1
+  },
+  // Weekly only: 0 (Sunday) to 6 (Saturday)
+  weekdays: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Monthly only: clamped to the last day in shorter months
+  monthDay: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  endDate: {
+    type: Date
+  },
+  count: {
+    type: Number,
+    min: [1, 'Count must be at least 1']
+  },
+  // 1-based position of this task within its series
+  occurrence: {
+    type: Number,
+    default: 1
+  }
+}, {
+  _id: false
+});
+
+const remindersSchema = new mongoose.Schema({
+  dueSoon: Date,
+  overdue: Date
+}, {
+  _id: false,
+  id: false
+});
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -25,17 +92,111 @@ const taskSchema = new mongoose.Schema({
   dueDate: {
     type: Date
   },
+  // Manual ordering within a status column on the board. New tasks default
+  // to the creation time so they land at the bottom of their column.
+  position: {
+    type: Number,
+    default: Date.now
+  },
+  checklist: {
+    type: [checklistItemSchema],
+    validate: {
+      validator: (items) => items.length <= MAX_CHECKLIST_ITEMS,
+      message: `Checklist cannot exceed ${MAX_CHECKLIST_ITEMS} items`
+    }
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }],
+  // Prerequisites: tasks that must be completed before this one can start
+  blockedBy: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+    validate: {
+      validator: (ids) => ids.length <= MAX_DEPENDENCIES,
+      message: `A task cannot have more than ${MAX_DEPENDENCIES} dependencies`
+    }
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Set when the task is moved to the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Due dates the due-soon/overdue reminders were last sent for, so a
+  // reminder goes out once per due date (see utils/reminders)
+  reminders: {
+    type: remindersSchema,
+    select: false
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Percentage of checked items, or null when the task has no checklist
+taskSchema.virtual('progress').get(function() {
+  if (!this.checklist || this.checklist.length === 0) return null;
+  const done = this.checklist.filter(item => item.completed).length;
+  return Math.round((done / this.checklist.length) * 100);
+});
+
+// Whether an unfinished prerequisite holds the task up. Only known when
+// blockedBy is populated without trashed tasks (as the task endpoints do);
+// left out of the output otherwise.
+taskSchema.virtual('isBlocked').get(function() {
+  if (!this.blockedBy || this.blockedBy.length === 0) return false;
+  if (!this.populated('blockedBy')) return undefined;
+  return this.blockedBy.some(dependency => dependency.status !== 'completed');
 });
 
 taskSchema.index({ user: 1, status: 1 });
 taskSchema.index({ user: 1, createdAt: -1 });
+taskSchema.index({ project: 1, status: 1 });
+taskSchema.index({ project: 1, createdAt: -1 });
+taskSchema.index({ assignee: 1, status: 1 });
+taskSchema.index({ user: 1, status: 1, position: 1 });
+taskSchema.index({ project: 1, status: 1, position: 1 });
+taskSchema.index({ deletedAt: 1 });
+taskSchema.index({ tags: 1 });
+taskSchema.index({ blockedBy: 1 });
 taskSchema.index({ title: 'text', description: 'text' });
 
 module.exports = mongoose.model('Task', taskSchema);
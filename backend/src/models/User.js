@@ -1,6 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// One switch per notification type; missing values count as enabled
+const notificationPreferencesSchema = new mongoose.Schema({
+  mention: { type: Boolean, default: true },
+  assigned: { type: Boolean, default: true },
+  statusChange: { type: Boolean, default: true },
+  dueSoon: { type: Boolean, default: true },
+  overdue: { type: Boolean, default: true }
+}, {
+  _id: false
+});
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -28,9 +39,67 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  refreshToken: {
+  // No default: accounts created before verification existed are treated
+  // as verified (see utils/verification)
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  verificationSentAt: {
+    type: Date,
+    select: false
+  },
+  // SHA-256 digest of the pending password reset token
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  // Base32 TOTP secret; the pending one is replaced on confirmation
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
     type: String,
     select: false
+  },
+  // Last accepted time step, so a code cannot be used twice
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // SHA-256 digests of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // SHA-256 digest of the secret in the user's calendar feed URL
+  calendarToken: {
+    type: String,
+    select: false
+  },
+  calendarTokenCreatedAt: {
+    type: Date,
+    default: null
+  },
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
   }
 }, {
   timestamps: true
@@ -38,6 +107,7 @@ const userSchema = new mongoose.Schema({
 
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ calendarToken: 1 }, { sparse: true });
 
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -60,7 +130,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  // Left over on accounts from before sessions were stored separately
   delete user.refreshToken;
+  delete user.calendarToken;
+  delete user.verificationSentAt;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorLastStep;
+  delete user.twoFactorRecoveryCodes;
   delete user.__v;
   return user;
 };
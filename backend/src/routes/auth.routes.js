@@ -1,18 +1,76 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const router = express.Router();
 
 const {
   register,
   login,
+  loginTwoFactor,
   logout,
   refreshAccessToken,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   getProfile,
-  updateProfile
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  getSessions,
+  revokeSession,
+  revokeAllSessions
 } = require('../controllers/auth.controller');
 
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactor.controller');
+
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKey.controller');
+const { API_KEY_SCOPES } = require('../utils/apiKeyScopes');
+
 const authMiddleware = require('../middleware/auth.middleware');
 const validate = require('../middleware/validate.middleware');
+const rateLimit = require('../middleware/rateLimit.middleware');
+
+const MINUTE = 60 * 1000;
+
+// Per-IP limits; failed logins are additionally throttled per account
+// (see utils/loginThrottle)
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: 15 * MINUTE,
+  max: 20,
+  message: 'Too many login attempts from this network. Please try again later'
+});
+
+const registerLimiter = rateLimit({
+  name: 'register',
+  windowMs: 60 * MINUTE,
+  max: 5,
+  message: 'Too many accounts created from this network. Please try again later'
+});
+
+const emailLimiter = rateLimit({
+  name: 'email',
+  windowMs: 15 * MINUTE,
+  max: 5,
+  message: 'Too many emails requested. Please try again later'
+});
+
+const tokenLimiter = rateLimit({
+  name: 'token',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  message: 'Too many attempts. Please try again later'
+});
 
 const registerValidation = [
   body('username')
@@ -46,6 +104,31 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail()
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+];
+
 const updateProfileValidation = [
   body('username')
     .optional()
@@ -61,11 +144,126 @@ const updateProfileValidation = [
     .withMessage('Full name cannot exceed 100 characters')
 ];
 
-router.post('/register', registerValidation, validate, register);
-router.post('/login', loginValidation, validate, login);
+// Sensitive account changes also take a second factor when 2FA is on; the
+// controller decides whether one is required
+const optionalSecondFactorValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code cannot be empty')
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password'),
+  ...optionalSecondFactorValidation
+];
+
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...optionalSecondFactorValidation
+];
+
+// Either a code from the authenticator app or a recovery code
+const secondFactorValidation = [
+  ...optionalSecondFactorValidation,
+  body('code')
+    .custom((value, { req }) => !!(value || req.body.recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+];
+
+const loginTwoFactorValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...secondFactorValidation
+];
+
+const enableTwoFactorValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...secondFactorValidation
+];
+
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Key name is required')
+    .isLength({ max: 50 })
+    .withMessage('Key name cannot exceed 50 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one scope'),
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be any of: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Expiry must be between 1 and 3650 days')
+    .toInt()
+];
+
+const apiKeyIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID')
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+router.post('/register', registerLimiter, registerValidation, validate, register);
+router.post('/login', loginLimiter, loginValidation, validate, login);
+router.post('/login/2fa', loginLimiter, loginTwoFactorValidation, validate, loginTwoFactor);
 router.post('/logout', authMiddleware, logout);
 router.post('/refresh', refreshAccessToken);
+router.post('/verify-email', tokenLimiter, verifyEmailValidation, validate, verifyEmail);
+router.post('/resend-verification', authMiddleware, resendVerification);
+router.post('/forgot-password', emailLimiter, forgotPasswordValidation, validate, forgotPassword);
+router.post('/reset-password', tokenLimiter, resetPasswordValidation, validate, resetPassword);
 router.get('/profile', authMiddleware, getProfile);
 router.put('/profile', authMiddleware, updateProfileValidation, validate, updateProfile);
+router.put('/password', authMiddleware, changePasswordValidation, validate, changePassword);
+router.delete('/account', authMiddleware, deleteAccountValidation, validate, deleteAccount);
+router.get('/2fa', authMiddleware, getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware, setupTwoFactor);
+router.post('/2fa/enable', authMiddleware, enableTwoFactorValidation, validate, enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, disableTwoFactorValidation, validate, disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, secondFactorValidation, validate, regenerateRecoveryCodes);
+router.get('/api-keys', authMiddleware, getApiKeys);
+router.post('/api-keys', authMiddleware, createApiKeyValidation, validate, createApiKey);
+router.delete('/api-keys/:id', authMiddleware, apiKeyIdValidation, validate, revokeApiKey);
+router.get('/sessions', authMiddleware, getSessions);
+router.delete('/sessions', authMiddleware, revokeAllSessions);
+router.delete('/sessions/:id', authMiddleware, sessionIdValidation, validate, revokeSession);
 
 module.exports = router;
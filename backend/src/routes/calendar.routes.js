@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getFeedStatus,
+  regenerateFeedToken,
+  revokeFeedToken,
+  getFeed
+} = require('../controllers/calendar.controller');
+
+const authMiddleware = require('../middleware/auth.middleware');
+
+// Calendar clients cannot send an Authorization header, so the feed is
+// authenticated by the secret token in its URL instead
+router.get('/feed/:token.ics', getFeed);
+
+router.get('/token', authMiddleware, getFeedStatus);
+router.post('/token', authMiddleware, regenerateFeedToken);
+router.delete('/token', authMiddleware, revokeFeedToken);
+
+module.exports = router;
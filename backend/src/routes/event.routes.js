@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const { streamEvents } = require('../controllers/event.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+router.use(authMiddleware);
+
+router.get('/', streamEvents);
+
+module.exports = router;
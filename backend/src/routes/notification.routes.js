@@ -0,0 +1,58 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notification.controller');
+
+const authMiddleware = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const { MAX_LIMIT } = require('../utils/pagination');
+const { PREFERENCE_KEYS } = require('../utils/notifications');
+
+router.use(authMiddleware);
+
+const listValidation = [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('unread must be a boolean')
+    .toBoolean(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+    .toInt(),
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor')
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid notification ID')
+];
+
+const preferencesValidation = Object.values(PREFERENCE_KEYS).map(field =>
+  body(field)
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage(`${field} must be true or false`)
+);
+
+router.get('/', listValidation, validate, getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.put('/read-all', markAllRead);
+router.get('/preferences', getPreferences);
+router.put('/preferences', preferencesValidation, validate, updatePreferences);
+router.put('/:id/read', idValidation, validate, markRead);
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  addMember,
+  updateMember,
+  removeMember
+} = require('../controllers/project.controller');
+
+const authMiddleware = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+
+router.use(authMiddleware);
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid project ID')
+];
+
+const memberIdValidation = [
+  ...idValidation,
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const createProjectValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Project name is required')
+    .isLength({ max: 100 })
+    .withMessage('Project name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+const updateProjectValidation = [
+  ...idValidation,
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Project name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Project name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+const addMemberValidation = [
+  ...idValidation,
+  body('usernameOrEmail')
+    .trim()
+    .notEmpty()
+    .withMessage('Username or email is required'),
+  body('role')
+    .optional()
+    .isIn(['editor', 'viewer'])
+    .withMessage('Role must be editor or viewer')
+];
+
+const updateMemberValidation = [
+  ...memberIdValidation,
+  body('role')
+    .isIn(['editor', 'viewer'])
+    .withMessage('Role must be editor or viewer')
+];
+
+router.get('/', getProjects);
+router.post('/', createProjectValidation, validate, createProject);
+router.get('/:id', idValidation, validate, getProject);
+router.put('/:id', updateProjectValidation, validate, updateProject);
+router.delete('/:id', idValidation, validate, deleteProject);
+router.post('/:id/members', addMemberValidation, validate, addMember);
+router.put('/:id/members/:userId', updateMemberValidation, validate, updateMember);
+router.delete('/:id/members/:userId', memberIdValidation, validate, removeMember);
+
+module.exports = router;
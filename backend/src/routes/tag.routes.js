@@ -0,0 +1,56 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag
+} = require('../controllers/tag.controller');
+
+const authMiddleware = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+
+router.use(authMiddleware);
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid tag ID')
+];
+
+const createTagValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Tag name is required')
+    .isLength({ max: 30 })
+    .withMessage('Tag name cannot exceed 30 characters'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #3b82f6')
+];
+
+const updateTagValidation = [
+  ...idValidation,
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Tag name cannot be empty')
+    .isLength({ max: 30 })
+    .withMessage('Tag name cannot exceed 30 characters'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #3b82f6')
+];
+
+router.get('/', getTags);
+router.post('/', createTagValidation, validate, createTag);
+router.put('/:id', updateTagValidation, validate, updateTag);
+router.delete('/:id', idValidation, validate, deleteTag);
+
+module.exports = router;
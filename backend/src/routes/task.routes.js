@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 
 const {
@@ -8,19 +8,57 @@ const {
   createTask,
   updateTask,
   deleteTask,
+  bulkUpdateTasks,
+  moveTask,
+  exportTasks,
+  importTasks,
+  getTrash,
+  restoreTask,
+  purgeTask,
+  emptyTrash,
+  getTaskHistory,
   getTaskStats
 } = require('../controllers/task.controller');
 
+const {
+  addChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  deleteChecklistItem
+} = require('../controllers/checklist.controller');
+
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/comment.controller');
+
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachment.controller');
+
 const authMiddleware = require('../middleware/auth.middleware');
 const validate = require('../middleware/validate.middleware');
+const { MAX_LIMIT } = require('../utils/pagination');
+const {
+  recurrenceValidation,
+  forceValidation,
+  dependencyValidation,
+  createTaskValidation
+} = require('../validators/task.validators');
 
 router.use(authMiddleware);
 
-const createTaskValidation = [
+const updateTaskValidation = [
   body('title')
+    .optional()
     .trim()
     .notEmpty()
-    .withMessage('Title is required')
+    .withMessage('Title cannot be empty')
     .isLength({ max: 100 })
     .withMessage('Title cannot exceed 100 characters'),
   body('description')
@@ -39,37 +77,75 @@ const createTaskValidation = [
   body('dueDate')
     .optional()
     .isISO8601()
-    .withMessage('Due date must be a valid date')
-];
-
-const updateTaskValidation = [
-  body('title')
+    .withMessage('Due date must be a valid date'),
+  body('assignee')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid assignee ID'),
+  body('watchers')
     .optional()
-    .trim()
-    .notEmpty()
-    .withMessage('Title cannot be empty')
-    .isLength({ max: 100 })
-    .withMessage('Title cannot exceed 100 characters'),
-  body('description')
+    .isArray({ max: 50 })
+    .withMessage('Watchers must be an array of at most 50 users'),
+  body('watchers.*')
+    .isMongoId()
+    .withMessage('Invalid watcher ID'),
+  body('tags')
     .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Description cannot exceed 500 characters'),
-  body('status')
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 tags'),
+  body('tags.*')
+    .isMongoId()
+    .withMessage('Invalid tag ID'),
+  ...dependencyValidation,
+  ...recurrenceValidation
+];
+
+const bulkValidation = [
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('ids must be an array of 1 to 100 task IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid task ID'),
+  body('action')
+    .isIn(['update', 'delete'])
+    .withMessage('Action must be update or delete'),
+  body('updates')
+    .if(body('action').equals('update'))
+    .custom(updates => {
+      const fields = ['status', 'priority', 'dueDate'];
+      return !!updates && fields.some(field => updates[field] !== undefined);
+    })
+    .withMessage('updates must set status, priority or dueDate'),
+  body('updates.status')
     .optional()
     .isIn(['pending', 'in-progress', 'completed'])
     .withMessage('Status must be pending, in-progress, or completed'),
-  body('priority')
+  body('updates.priority')
     .optional()
     .isIn(['low', 'medium', 'high'])
     .withMessage('Priority must be low, medium, or high'),
-  body('dueDate')
-    .optional()
+  body('updates.dueDate')
+    .optional({ values: 'null' })
     .isISO8601()
-    .withMessage('Due date must be a valid date')
+    .withMessage('Due date must be a valid date'),
+  ...forceValidation
 ];
 
-const queryValidation = [
+const moveTaskValidation = [
+  body('status')
+    .optional()
+    .isIn(['pending', 'in-progress', 'completed'])
+    .withMessage('Status must be pending, in-progress, or completed'),
+  body('beforeId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid task ID'),
+  ...forceValidation
+];
+
+// Filters and sort shared by the task list and the export
+const filterValidation = [
   query('status')
     .optional()
     .isIn(['pending', 'in-progress', 'completed'])
@@ -80,19 +156,199 @@ const queryValidation = [
     .withMessage('Invalid priority'),
   query('sortBy')
     .optional()
-    .isIn(['createdAt', 'updatedAt', 'title', 'dueDate', 'priority'])
+    .isIn(['createdAt', 'updatedAt', 'title', 'dueDate', 'priority', 'position'])
     .withMessage('Invalid sort field'),
   query('order')
     .optional()
     .isIn(['asc', 'desc'])
-    .withMessage('Order must be asc or desc')
+    .withMessage('Order must be asc or desc'),
+  query('project')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+  query('assignee')
+    .optional()
+    .custom(value => ['me', 'unassigned'].includes(value) || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('Assignee must be me, unassigned, or a user ID'),
+  query('tags')
+    .optional()
+    .custom(value => value.split(',').every(id => /^[a-f\d]{24}$/i.test(id)))
+    .withMessage('Tags must be a comma-separated list of tag IDs'),
+  query('tagMatch')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('tagMatch must be any or all'),
+  query('dueFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('dueFrom must be a valid date')
+    .toDate(),
+  query('dueTo')
+    .optional()
+    .isISO8601()
+    .withMessage('dueTo must be a valid date')
+    .toDate()
+    .custom((value, { req }) => !req.query.dueFrom || value > req.query.dueFrom)
+    .withMessage('dueTo must be after dueFrom')
 ];
 
-router.get('/stats', getTaskStats);
+const queryValidation = [
+  ...filterValidation,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+    .toInt(),
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor')
+];
+
+const exportValidation = [
+  ...filterValidation,
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json')
+];
+
+const importValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json'),
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+  query('project')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid project ID')
+];
+
+const checklistItemValidation = [
+  body('text')
+    .trim()
+    .notEmpty()
+    .withMessage('Checklist item text is required')
+    .isLength({ max: 200 })
+    .withMessage('Checklist item cannot exceed 200 characters'),
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be a boolean')
+    .toBoolean()
+];
+
+const updateChecklistItemValidation = [
+  body('text')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Checklist item text cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Checklist item cannot exceed 200 characters'),
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be a boolean')
+    .toBoolean()
+];
+
+const reorderChecklistValidation = [
+  body('itemIds')
+    .isArray()
+    .withMessage('itemIds must be an array'),
+  body('itemIds.*')
+    .isMongoId()
+    .withMessage('Invalid checklist item ID')
+];
+
+const commentValidation = [
+  body('body')
+    .isString()
+    .withMessage('Comment must be text')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment cannot be empty')
+    .isLength({ max: 5000 })
+    .withMessage('Comment cannot exceed 5000 characters')
+];
+
+const commentIdValidation = [
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID')
+];
+
+const commentQueryValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+    .toInt(),
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor')
+];
+
+const attachmentIdValidation = [
+  param('attachmentId')
+    .isMongoId()
+    .withMessage('Invalid attachment ID')
+];
+
+const projectQueryValidation = [
+  query('project')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid project ID')
+];
+
+// Imports accept CSV or JSON bodies of up to 2 MB; every other task route
+// takes JSON with the default limit
+router.post(
+  '/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  express.json({ limit: '2mb' }),
+  importValidation,
+  validate,
+  importTasks
+);
+router.use(express.json());
+
+router.get('/stats', projectQueryValidation, validate, getTaskStats);
+router.get('/trash', projectQueryValidation, validate, getTrash);
+router.delete('/trash', projectQueryValidation, validate, emptyTrash);
+router.get('/export', exportValidation, validate, exportTasks);
 router.get('/', queryValidation, validate, getTasks);
 router.get('/:id', getTask);
 router.post('/', createTaskValidation, validate, createTask);
+router.post('/bulk', bulkValidation, validate, bulkUpdateTasks);
 router.put('/:id', updateTaskValidation, validate, updateTask);
 router.delete('/:id', deleteTask);
+router.put('/:id/move', moveTaskValidation, validate, moveTask);
+router.get('/:id/history', getTaskHistory);
+router.post('/:id/restore', restoreTask);
+router.delete('/:id/purge', purgeTask);
+
+router.post('/:id/checklist', checklistItemValidation, validate, addChecklistItem);
+router.put('/:id/checklist/reorder', reorderChecklistValidation, validate, reorderChecklist);
+router.put('/:id/checklist/:itemId', updateChecklistItemValidation, validate, updateChecklistItem);
+router.delete('/:id/checklist/:itemId', deleteChecklistItem);
+
+router.get('/:id/comments', commentQueryValidation, validate, getComments);
+router.post('/:id/comments', commentValidation, validate, createComment);
+router.put('/:id/comments/:commentId', commentIdValidation, commentValidation, validate, updateComment);
+router.delete('/:id/comments/:commentId', commentIdValidation, validate, deleteComment);
+
+router.get('/:id/attachments', getAttachments);
+router.post('/:id/attachments', uploadAttachment);
+router.get('/:id/attachments/:attachmentId', attachmentIdValidation, validate, downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', attachmentIdValidation, validate, deleteAttachment);
 
 module.exports = router;
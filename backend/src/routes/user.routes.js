@@ -0,0 +1,25 @@
+const express = require('express');
+const { query } = require('express-validator');
+const router = express.Router();
+
+const { searchUsers } = require('../controllers/user.controller');
+
+const authMiddleware = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+
+router.use(authMiddleware);
+
+const searchValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Search query must be between 1 and 30 characters'),
+  query('project')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid project ID')
+];
+
+router.get('/search', searchValidation, validate, searchUsers);
+
+module.exports = router;
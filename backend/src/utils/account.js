@@ -0,0 +1,46 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Notification = require('../models/Notification');
+const { purgeTasks } = require('./trash');
+
+// Removes everything that belongs to the user before the account itself is
+// deleted. Personal tasks and owned projects are purged; tasks the user
+// created in other people's projects stay with the project and keep only a
+// reference to the deleted account, which the UI shows as "Deleted user".
+// The same goes for their comments and attachments on those tasks.
+const purgeUserData = async (userId) => {
+  const ownedProjects = await Project.find({ owner: userId }).distinct('_id');
+  const tagIds = await Tag.find({ user: userId }).distinct('_id');
+
+  const personalTasks = await purgeTasks({ user: userId, project: null });
+  const projectTasks = await purgeTasks({ project: { $in: ownedProjects } });
+  await Project.deleteMany({ _id: { $in: ownedProjects } });
+
+  await Project.updateMany(
+    { 'members.user': userId },
+    { $pull: { members: { user: userId } } }
+  );
+  await Task.updateMany({ assignee: userId }, { $set: { assignee: null } });
+  await Task.updateMany({ watchers: userId }, { $pull: { watchers: userId } });
+
+  if (tagIds.length > 0) {
+    await Task.updateMany({ tags: { $in: tagIds } }, { $pull: { tags: { $in: tagIds } } });
+    await Tag.deleteMany({ _id: { $in: tagIds } });
+  }
+
+  await Session.deleteMany({ user: userId });
+  await ApiKey.deleteMany({ user: userId });
+  await Notification.deleteMany({ user: userId });
+
+  return {
+    tasks: personalTasks + projectTasks,
+    projects: ownedProjects.length
+  };
+};
+
+module.exports = {
+  purgeUserData
+};
@@ -0,0 +1,96 @@
+const Activity = require('../models/Activity');
+const { notifyTaskChanges } = require('./notifications');
+
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'project',
+  'assignee',
+  'watchers',
+  'tags',
+  'blockedBy',
+  'recurrence',
+  'checklist'
+];
+
+const toId = (value) => (value ? (value._id || value).toString() : null);
+
+// Fields without a serializer are stored as-is
+const SERIALIZERS = {
+  dueDate: (value) => (value ? value.toISOString() : null),
+  project: toId,
+  assignee: toId,
+  watchers: (value) => (value || []).map(toId),
+  tags: (value) => (value || []).map(toId),
+  blockedBy: (value) => (value || []).map(toId),
+  recurrence: (value) => {
+    if (!value) return null;
+    const { frequency, interval, weekdays, monthDay, endDate, count } = value;
+    return {
+      frequency,
+      interval,
+      weekdays: [...(weekdays || [])],
+      monthDay: monthDay ?? null,
+      endDate: endDate ? endDate.toISOString() : null,
+      count: count ?? null
+    };
+  },
+  checklist: (value) => (value || []).map(({ text, completed }) => ({ text, completed }))
+};
+
+// Plain JSON copy of the tracked fields, taken before and after a write so
+// the two can be diffed.
+const snapshotTask = (task) => {
+  return Object.fromEntries(
+    TRACKED_FIELDS.map(field => {
+      const serialize = SERIALIZERS[field];
+      return [field, serialize ? serialize(task[field]) : task[field] ?? null];
+    })
+  );
+};
+
+const isEmpty = (value) => {
+  return value === null || value === '' || (Array.isArray(value) && value.length === 0);
+};
+
+const diffSnapshots = (before, after) => {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .filter(field => !(isEmpty(before[field]) && isEmpty(after[field])))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+// A failed log write is reported but never fails the request that already
+// changed the task. Each entry also feeds the participants' notifications.
+const recordActivity = async ({ task, userId, action, before = {}, after = {} }) => {
+  try {
+    const changes = diffSnapshots(before, after);
+
+    if (action === 'update' && changes.length === 0) {
+      return null;
+    }
+
+    const activity = await Activity.create({
+      task: task._id,
+      project: task.project?._id || task.project || null,
+      user: userId,
+      action,
+      changes
+    });
+
+    await notifyTaskChanges({ task, actorId: userId, action, changes });
+
+    return activity;
+  } catch (error) {
+    console.error('Record activity error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  snapshotTask,
+  recordActivity
+};
@@ -0,0 +1,33 @@
+// Personal API keys are limited to these scopes. A GET request needs the
+// resource's read scope, any other method its write scope; routes outside
+// SCOPED_ROUTES (auth, calendar feed settings) cannot be used with a key.
+const API_KEY_SCOPES = [
+  'tasks:read',
+  'tasks:write',
+  'projects:read',
+  'projects:write',
+  'tags:read',
+  'tags:write'
+];
+
+const SCOPED_ROUTES = {
+  '/api/tasks': 'tasks',
+  '/api/projects': 'projects',
+  // User search is only used to find people to add to projects
+  '/api/users': 'projects',
+  '/api/tags': 'tags'
+};
+
+// Returns the scope the request needs, or null when keys are not accepted
+const getRequiredScope = (req) => {
+  const resource = SCOPED_ROUTES[req.baseUrl];
+  if (!resource) return null;
+
+  const access = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  return `${resource}:${access}`;
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  getRequiredScope
+};
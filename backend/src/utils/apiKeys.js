@@ -0,0 +1,53 @@
+const ApiKey = require('../models/ApiKey');
+const { generateToken, hashToken } = require('./tokens');
+
+// Keys look like "tak_<64 hex chars>". The prefix tells them apart from
+// JWTs in the Authorization header.
+const API_KEY_PREFIX = 'tak_';
+const DISPLAY_PREFIX_LENGTH = 12;
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+const isApiKey = (token) => {
+  return token.startsWith(API_KEY_PREFIX);
+};
+
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${generateToken(32)}`;
+
+  return {
+    key,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashToken(key)
+  };
+};
+
+// Returns the key document, or null when the key is unknown or expired
+const findApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+// Records use at most once a minute so busy scripts do not write on every
+// request. Failures are logged, never surfaced to the request.
+const touchApiKey = (apiKey) => {
+  const now = Date.now();
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt.getTime() < LAST_USED_PRECISION_MS) {
+    return;
+  }
+
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(now) }).catch(error => {
+    console.error('Touch API key error:', error);
+  });
+};
+
+module.exports = {
+  isApiKey,
+  generateApiKey,
+  findApiKey,
+  touchApiKey
+};
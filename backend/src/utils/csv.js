@@ -0,0 +1,82 @@
+// RFC 4180 CSV reading and writing
+
+// Spreadsheet apps evaluate cells starting with these characters as
+// formulas, so exported values get a leading apostrophe. Values that already
+// start with apostrophes before such a character get one more, so parsing
+// can always strip exactly one.
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+const GUARDED_PREFIX = /^'+[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Reverses the formula guard added by escapeCell
+const unescapeCell = (value) => {
+  return GUARDED_PREFIX.test(value) ? value.slice(1) : value;
+};
+
+const toCsv = (rows) => {
+  return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// Returns an array of records, each an array of cell strings. Quoted cells
+// may contain commas, doubled quotes and line breaks. Throws on an
+// unterminated quote.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(unescapeCell(cell));
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(unescapeCell(cell));
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (cell !== '' || record.length > 0) {
+    record.push(unescapeCell(cell));
+    records.push(record);
+  }
+
+  // Blank lines carry no data
+  return records.filter(row => row.length > 1 || row[0] !== '');
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
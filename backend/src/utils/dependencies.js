@@ -0,0 +1,82 @@
+const Task = require('../models/Task');
+const { taskScope } = require('./permissions');
+
+// Statuses a task cannot move to while a prerequisite is unfinished
+const BLOCKED_STATUSES = ['in-progress', 'completed'];
+
+// Follows blockedBy from the given tasks. Reaching taskId means the task
+// would end up waiting on itself. Trashed tasks are walked too, since they
+// can be restored with their dependencies intact.
+const createsCycle = async (taskId, dependencyIds) => {
+  const seen = new Set(dependencyIds.map(id => id.toString()));
+  let frontier = dependencyIds;
+
+  while (frontier.length > 0) {
+    const tasks = await Task.find({ _id: { $in: frontier } }).select('blockedBy').lean();
+    frontier = [];
+
+    for (const { blockedBy = [] } of tasks) {
+      for (const id of blockedBy) {
+        if (id.equals(taskId)) return true;
+
+        if (!seen.has(id.toString())) {
+          seen.add(id.toString());
+          frontier.push(id);
+        }
+      }
+    }
+  }
+
+  return false;
+};
+
+// Checks the prerequisites being added to a task: they must be live tasks
+// from the same project (or the same owner's personal tasks), and must not
+// close a cycle. Prerequisites already on the task are not checked again.
+// Returns an error message, or null when the list is valid.
+const validateDependencies = async (task, dependencyIds) => {
+  const added = [...new Set(dependencyIds.map(id => id.toString()))]
+    .filter(id => !(task.blockedBy || []).some(existing => existing.equals(id)));
+
+  if (added.length === 0) return null;
+
+  if (added.includes(task._id.toString())) {
+    return 'A task cannot depend on itself';
+  }
+
+  const found = await Task.countDocuments({
+    _id: { $in: added },
+    ...taskScope(task.user, task.project)
+  });
+
+  if (found !== added.length) {
+    return task.project
+      ? 'Dependencies must be tasks in the same project'
+      : 'Dependencies must be your own personal tasks';
+  }
+
+  if (await createsCycle(task._id, added)) {
+    return 'These dependencies would create a circular chain';
+  }
+
+  return null;
+};
+
+// The unfinished prerequisites among dependencyIds that stop a task from
+// moving to status. Empty when the move is allowed: the status is not a
+// blocked status, or every prerequisite is completed or in the trash.
+const findBlockers = async (dependencyIds, status) => {
+  if (!BLOCKED_STATUSES.includes(status)) return [];
+  if (!dependencyIds || dependencyIds.length === 0) return [];
+
+  return Task.find({
+    _id: { $in: dependencyIds },
+    deletedAt: null,
+    status: { $ne: 'completed' }
+  }).select('title status').lean();
+};
+
+module.exports = {
+  validateDependencies,
+  findBlockers
+};
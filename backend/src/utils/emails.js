@@ -0,0 +1,51 @@
+const { sendMail } = require('./mailer');
+const {
+  generateEmailVerificationToken,
+  getEmailVerificationHours
+} = require('../config/jwt');
+
+const getFrontendUrl = () => {
+  return process.env.FRONTEND_URL || 'http://localhost:3000';
+};
+
+const greeting = (user) => `Hi ${user.fullName || user.username},`;
+
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  const link = `${getFrontendUrl()}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your TaskApp email address',
+    text: [
+      greeting(user),
+      '',
+      'Please confirm your email address by opening this link:',
+      link,
+      '',
+      `The link expires in ${getEmailVerificationHours()} hours. If you did not create a TaskApp account, you can ignore this email.`
+    ].join('\n')
+  });
+};
+
+const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const link = `${getFrontendUrl()}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your TaskApp password',
+    text: [
+      greeting(user),
+      '',
+      'We received a request to reset your password. Open this link to choose a new one:',
+      link,
+      '',
+      `The link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email; your password will not change.`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
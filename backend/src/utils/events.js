@@ -0,0 +1,69 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus for the live update stream. Recent events are kept
+// so a reconnecting client can resume from its Last-Event-ID. Events only
+// reach clients connected to the same server process.
+const BUFFER_SIZE = 1000;
+
+// Ids are "<boot>-<sequence>", so an id issued before a restart is
+// recognised and the client is told to reload instead of resuming
+const BOOT_ID = Date.now().toString(36);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffer = [];
+let sequence = 0;
+
+const publish = (userIds, event, data) => {
+  sequence++;
+
+  const entry = {
+    sequence,
+    id: `${BOOT_ID}-${sequence}`,
+    userIds: new Set(userIds.map(id => id.toString())),
+    event,
+    data: JSON.stringify(data)
+  };
+
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  emitter.emit('event', entry);
+};
+
+// Calls listener with every event addressed to the user. Returns the
+// function that unsubscribes.
+const subscribe = (userId, listener) => {
+  const id = userId.toString();
+  const handler = (entry) => {
+    if (entry.userIds.has(id)) listener(entry);
+  };
+
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+};
+
+// The user's events published after lastEventId, or null when they cannot
+// be replayed: the id is malformed, from before a restart, or older than
+// the buffer.
+const getEventsSince = (userId, lastEventId) => {
+  const [bootId, value] = String(lastEventId).split('-');
+  const since = Number(value);
+
+  if (bootId !== BOOT_ID || !Number.isInteger(since) || since < 0 || since > sequence) {
+    return null;
+  }
+
+  const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+  if (since < oldest - 1) return null;
+
+  const id = userId.toString();
+  return buffer.filter(entry => entry.sequence > since && entry.userIds.has(id));
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  getEventsSince
+};
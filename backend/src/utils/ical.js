@@ -0,0 +1,102 @@
+// Minimal RFC 5545 serializer for the task calendar feed
+
+const STATUS_MAP = {
+  pending: 'NEEDS-ACTION',
+  'in-progress': 'IN-PROCESS',
+  completed: 'COMPLETED'
+};
+
+// 1 is the highest priority and 9 the lowest, 5 is medium
+const PRIORITY_MAP = {
+  high: 1,
+  medium: 5,
+  low: 9
+};
+
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+const formatDateTime = (date) => {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Due dates are stored as UTC midnight of the chosen day
+const formatDate = (date) => {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+// Content lines longer than 75 octets are folded onto continuation lines
+// that start with a single space, without splitting multi-byte characters
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let limit = 75;
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const buildTodo = (task, domain, stamp) => {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${task._id}@${domain}`,
+    `DTSTAMP:${stamp}`,
+    `CREATED:${formatDateTime(task.createdAt)}`,
+    `LAST-MODIFIED:${formatDateTime(task.updatedAt)}`,
+    `SUMMARY:${escapeText(task.title)}`,
+    `DUE;VALUE=DATE:${formatDate(task.dueDate)}`,
+    `STATUS:${STATUS_MAP[task.status]}`,
+    `PRIORITY:${PRIORITY_MAP[task.priority]}`
+  ];
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+
+  if (task.progress !== null && task.progress !== undefined) {
+    lines.push(`PERCENT-COMPLETE:${task.progress}`);
+  }
+
+  if (task.tags?.length > 0) {
+    lines.push(`CATEGORIES:${task.tags.map(tag => escapeText(tag.name)).join(',')}`);
+  }
+
+  lines.push('END:VTODO');
+  return lines;
+};
+
+const buildCalendar = (tasks, { name = 'TaskApp', domain = 'taskapp' } = {}) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TaskApp//Task Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...tasks.flatMap(task => buildTodo(task, domain, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar
+};
@@ -0,0 +1,63 @@
+const { getStore } = require('./rateLimitStore');
+
+// Progressive lockout after repeated failed logins. The first
+// LOGIN_MAX_ATTEMPTS failures are free; each one after that locks the
+// account for twice as long as the previous lock, up to MAX_LOCK_SECONDS.
+// Failures are forgotten a day after the last one or on a successful login.
+const MAX_LOCK_SECONDS = 60 * 60;
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const getMaxAttempts = () => {
+  return parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+};
+
+const getBaseLockSeconds = () => {
+  return parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 30;
+};
+
+// Known accounts are keyed by id so switching between email and username
+// does not earn extra attempts. Unknown identifiers are throttled the same
+// way, so lockouts do not reveal which accounts exist.
+const getThrottleKey = (user, identifier) => {
+  return user ? `user:${user._id}` : `identifier:${String(identifier).toLowerCase()}`;
+};
+
+// Seconds until the lock ends, or 0 when the account is not locked
+const getLockout = async (key) => {
+  const state = await getStore().get(`lockout:${key}`);
+  if (!state || !state.lockedUntil) return 0;
+
+  return Math.max(0, Math.ceil((state.lockedUntil - Date.now()) / 1000));
+};
+
+// Counts a failure and returns the new lock in seconds, or 0
+const recordFailure = async (key) => {
+  const store = getStore();
+  const state = (await store.get(`lockout:${key}`)) || { failures: 0, lockedUntil: null };
+  const failures = state.failures + 1;
+  const excess = failures - getMaxAttempts();
+
+  let lockSeconds = 0;
+  if (excess > 0) {
+    lockSeconds = Math.min(getBaseLockSeconds() * 2 ** (excess - 1), MAX_LOCK_SECONDS);
+  }
+
+  await store.set(
+    `lockout:${key}`,
+    { failures, lockedUntil: lockSeconds ? Date.now() + lockSeconds * 1000 : null },
+    FAILURE_MEMORY_MS
+  );
+
+  return lockSeconds;
+};
+
+const clearFailures = async (key) => {
+  await getStore().delete(`lockout:${key}`);
+};
+
+module.exports = {
+  getThrottleKey,
+  getLockout,
+  recordFailure,
+  clearFailures
+};
@@ -0,0 +1,43 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// A transport is an async function that delivers one message
+// ({ from, to, subject, text }). MAIL_TRANSPORT picks the transport by name;
+// production setups can add their own (e.g. SMTP) with registerTransport.
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  // Appends each message as one JSON line, which makes sent mail easy to
+  // inspect in development and tests
+  file: async (message) => {
+    const filePath = process.env.MAIL_FILE_PATH || path.join(process.cwd(), 'mail.log');
+    await fs.appendFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }) + '\n');
+  }
+};
+
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'TaskApp <no-reply@taskapp.local>',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
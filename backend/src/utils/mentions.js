@@ -0,0 +1,38 @@
+const User = require('../models/User');
+const { findOutsiders } = require('./permissions');
+
+// Same character set as registration allows for usernames. The mention must
+// not follow a word character, so e-mail addresses are not picked up.
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_]{3,30})(?![\w@])/g;
+const MAX_MENTIONS = 20;
+
+const extractUsernames = (body) => {
+  const usernames = new Set();
+
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    usernames.add(match[2]);
+    if (usernames.size >= MAX_MENTIONS) break;
+  }
+
+  return [...usernames];
+};
+
+// Resolves the @usernames in a comment to user ids. Unknown names and users
+// who cannot see the task are dropped, so a mention never reveals the task
+// to someone outside it.
+const resolveMentions = async (body, task) => {
+  const usernames = extractUsernames(body);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({ username: { $in: usernames } }).select('_id');
+  const ids = users.map(user => user._id);
+  if (ids.length === 0) return [];
+
+  const outsiders = (await findOutsiders(task, ids)).map(id => id.toString());
+  return ids.filter(id => !outsiders.includes(id.toString()));
+};
+
+module.exports = {
+  extractUsernames,
+  resolveMentions
+};
@@ -0,0 +1,88 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+// The switch in User.notificationPreferences for each notification type
+const PREFERENCE_KEYS = {
+  mention: 'mention',
+  assigned: 'assigned',
+  'status-change': 'statusChange',
+  'due-soon': 'dueSoon',
+  overdue: 'overdue'
+};
+
+const toId = (value) => (value._id || value).toString();
+
+// Creates one notification per recipient, skipping the actor and anyone who
+// turned the type off. Like the activity log, a failed write is reported but
+// never fails the request.
+const createNotifications = async ({
+  userIds,
+  type,
+  actorId = null,
+  task = null,
+  comment = null,
+  data = null
+}) => {
+  try {
+    const recipients = [...new Set(userIds.filter(Boolean).map(toId))]
+      .filter(id => !actorId || id !== actorId.toString());
+
+    if (recipients.length === 0) return [];
+
+    const enabled = await User.find({
+      _id: { $in: recipients },
+      [`notificationPreferences.${PREFERENCE_KEYS[type]}`]: { $ne: false }
+    }).distinct('_id');
+
+    if (enabled.length === 0) return [];
+
+    return await Notification.insertMany(enabled.map(user => ({
+      user,
+      actor: actorId,
+      type,
+      task: task?._id || task,
+      comment: comment?._id || comment,
+      data
+    })));
+  } catch (error) {
+    console.error('Create notifications error:', error);
+    return [];
+  }
+};
+
+// Everyone involved in a task: its creator, assignee and watchers
+const getTaskParticipants = (task) => {
+  return [task.user, task.assignee, ...(task.watchers || [])].filter(Boolean);
+};
+
+// Called with every activity entry. Status changes go to the other
+// participants and a new assignee hears about the assignment.
+const notifyTaskChanges = async ({ task, actorId, action, changes }) => {
+  const statusChange = changes.find(change => change.field === 'status');
+  const assigneeChange = changes.find(change => change.field === 'assignee');
+
+  if (action === 'update' && statusChange) {
+    await createNotifications({
+      userIds: getTaskParticipants(task),
+      type: 'status-change',
+      actorId,
+      task,
+      data: { from: statusChange.from, to: statusChange.to }
+    });
+  }
+
+  if (assigneeChange?.to) {
+    await createNotifications({
+      userIds: [assigneeChange.to],
+      type: 'assigned',
+      actorId,
+      task
+    });
+  }
+};
+
+module.exports = {
+  PREFERENCE_KEYS,
+  createNotifications,
+  notifyTaskChanges
+};
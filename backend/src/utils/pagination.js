@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'dueDate'];
+const NUMBER_FIELDS = ['position'];
+
+// Whether a decoded sort value has the type the field is stored with. Dates
+// travel as ISO strings; only dates and strings may be missing.
+const isValidSortValue = (value, sortBy) => {
+  if (NUMBER_FIELDS.includes(sortBy)) return Number.isFinite(value);
+  return value === null || typeof value === 'string';
+};
+
+// Cursors are opaque to clients: base64url-encoded JSON holding the sort
+// they were issued for plus the sort value and _id of the last task returned.
+const encodeCursor = (task, sortBy, order) => {
+  const value = task[sortBy];
+  const payload = {
+    s: sortBy,
+    o: order,
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    id: task._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns null when the cursor is malformed or was issued for another sort.
+const decodeCursor = (cursor, sortBy, order) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (payload.s !== sortBy || payload.o !== order) return null;
+    if (!mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+    if (!isValidSortValue(payload.v, sortBy)) return null;
+
+    let value = payload.v;
+    if (value !== null && DATE_FIELDS.includes(sortBy)) {
+      value = new Date(value);
+      if (isNaN(value.getTime())) return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Builds the filter selecting everything after the cursor position for a
+// { [sortBy]: order, _id: order } sort. MongoDB orders null/missing values
+// before everything else, so they come first ascending and last descending.
+const buildCursorQuery = ({ value, id }, sortBy, order) => {
+  const asc = order === 'asc';
+  const idAfter = { _id: asc ? { $gt: id } : { $lt: id } };
+
+  if (value === null) {
+    return asc
+      ? { $or: [{ [sortBy]: { $ne: null } }, { [sortBy]: null, ...idAfter }] }
+      : { [sortBy]: null, ...idAfter };
+  }
+
+  const conditions = [
+    { [sortBy]: asc ? { $gt: value } : { $lt: value } },
+    { [sortBy]: value, ...idAfter }
+  ];
+
+  if (!asc) {
+    conditions.push({ [sortBy]: null });
+  }
+
+  return { $or: conditions };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery
+};
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+const hasRole = (role, minimumRole) => {
+  return !!role && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+};
+
+// Personal tasks belong to their creator alone; project tasks inherit the
+// caller's project membership role. Returns null when the task is not visible.
+const getTaskRole = async (task, userId) => {
+  if (!task.project) {
+    return task.user.equals(userId) ? 'owner' : null;
+  }
+
+  const project = await Project.findById(task.project).select('members');
+  return project ? project.getRole(userId) : null;
+};
+
+// Loads a task together with the caller's role on it. Tasks the caller
+// cannot see come back as { task: null } so they surface as a 404, and so
+// do trashed tasks unless includeDeleted is set.
+const findTaskForUser = async (taskId, userId, { includeDeleted = false } = {}) => {
+  const task = await Task.findById(taskId);
+  if (!task || (task.deletedAt && !includeDeleted)) return { task: null, role: null };
+
+  const role = await getTaskRole(task, userId);
+  return role ? { task, role } : { task: null, role: null };
+};
+
+// Only people who can see a task may be assigned to or watch it. Returns
+// the ids from userIds that fail that check.
+const findOutsiders = async (task, userIds) => {
+  if (!task.project) {
+    return userIds.filter(id => !task.user.equals(id));
+  }
+
+  const project = await Project.findById(task.project).select('members');
+  return userIds.filter(id => !project || !project.getRole(id));
+};
+
+const getProjectRole = async (projectId, userId) => {
+  const project = await Project.findById(projectId).select('members');
+  return project ? project.getRole(userId) : null;
+};
+
+// Query scope for listing tasks: a project's tasks, or the caller's
+// personal tasks when no project is given. Trashed tasks are excluded
+// unless deleted is set, which selects only the trash instead. The id is
+// cast up front so the scope also works in aggregation pipelines.
+const taskScope = (userId, projectId, { deleted = false } = {}) => {
+  const scope = projectId
+    ? { project: new mongoose.Types.ObjectId(projectId) }
+    : { user: userId, project: null };
+
+  scope.deletedAt = deleted ? { $ne: null } : null;
+  return scope;
+};
+
+module.exports = {
+  hasRole,
+  getTaskRole,
+  findTaskForUser,
+  findOutsiders,
+  getProjectRole,
+  taskScope
+};
@@ -0,0 +1,67 @@
+const Task = require('../models/Task');
+const { taskScope } = require('./permissions');
+
+const POSITION_GAP = 1024;
+
+// Non-deleted tasks sharing a board column with the given task
+const columnQuery = (task, status) => ({
+  ...taskScope(task.user, task.project),
+  status,
+  _id: { $ne: task._id }
+});
+
+// Spreads the column back out to evenly spaced positions once repeated
+// moves have exhausted the gap between two neighbours.
+const rebalanceColumn = async (task, status) => {
+  const tasks = await Task.find(columnQuery(task, status))
+    .sort({ position: 1, _id: 1 })
+    .select('_id');
+
+  if (tasks.length === 0) return;
+
+  await Task.bulkWrite(tasks.map((item, index) => ({
+    updateOne: {
+      filter: { _id: item._id },
+      update: { $set: { position: (index + 1) * POSITION_GAP } },
+      timestamps: false
+    }
+  })));
+};
+
+// Returns the position that places task directly above beforeTask in the
+// status column, or at the bottom of the column when beforeTask is null.
+const getMovePosition = async (task, status, beforeTask, rebalanced = false) => {
+  const column = columnQuery(task, status);
+
+  if (!beforeTask) {
+    const last = await Task.findOne(column).sort({ position: -1, _id: -1 });
+    return last && Number.isFinite(last.position) ? last.position + POSITION_GAP : POSITION_GAP;
+  }
+
+  const { position, _id } = await Task.findById(beforeTask._id).select('position');
+  const previous = await Task.findOne({
+    ...column,
+    $or: [
+      { position: { $lt: position } },
+      { position, _id: { $lt: _id } }
+    ]
+  }).sort({ position: -1, _id: -1 });
+
+  const target = previous
+    ? (previous.position + position) / 2
+    : position - POSITION_GAP;
+
+  const fits = previous
+    ? target > previous.position && target < position
+    : Number.isFinite(target);
+
+  if (fits || rebalanced) return target;
+
+  await rebalanceColumn(task, status);
+  return getMovePosition(task, status, beforeTask, true);
+};
+
+module.exports = {
+  POSITION_GAP,
+  getMovePosition
+};
@@ -0,0 +1,77 @@
+// A store keeps the short-lived counters and values used for rate limiting
+// and login lockout. Every method is async, so a shared store (e.g. Redis)
+// can replace the default in-memory one with setStore when the API runs on
+// more than one instance. Entries expire on their own after ttlMs.
+//
+//   increment(key, ttlMs) -> { count, resetAt }  window starts at first hit
+//   get(key)              -> value or null
+//   set(key, value, ttlMs)
+//   delete(key)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  };
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    increment: async (key, ttlMs) => {
+      let entry = read(key);
+
+      if (!entry) {
+        entry = { value: 0, expiresAt: Date.now() + ttlMs };
+        entries.set(key, entry);
+      }
+
+      entry.value += 1;
+      return { count: entry.value, resetAt: new Date(entry.expiresAt) };
+    },
+
+    get: async (key) => {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    delete: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) store = createMemoryStore();
+  return store;
+};
+
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = {
+  createMemoryStore,
+  getStore,
+  setStore
+};
@@ -0,0 +1,118 @@
+const Task = require('../models/Task');
+const { snapshotTask, recordActivity } = require('./activity');
+const { queueTaskEvent } = require('./taskEvents');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const startOfWeek = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return addDays(start, -start.getUTCDay());
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// All calculations run in UTC so the time of day of the previous due date
+// carries over unchanged (date-only due dates are stored as UTC midnight).
+const computeNextDueDate = (recurrence, from) => {
+  const { frequency, interval = 1 } = recurrence;
+
+  if (frequency === 'daily') {
+    return addDays(from, interval);
+  }
+
+  if (frequency === 'weekly') {
+    const weekdays = recurrence.weekdays?.length ? recurrence.weekdays : [from.getUTCDay()];
+    const baseWeek = startOfWeek(from).getTime();
+
+    // Walk forward day by day; only weeks that are a multiple of the
+    // interval away from the starting week are eligible.
+    for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+      const candidate = addDays(from, offset);
+      const weeksApart = Math.round((startOfWeek(candidate).getTime() - baseWeek) / (7 * DAY_MS));
+
+      if (weeksApart % interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  if (frequency === 'monthly') {
+    const monthDay = recurrence.monthDay || from.getUTCDate();
+    const target = new Date(from.getTime());
+    target.setUTCDate(1);
+    target.setUTCMonth(target.getUTCMonth() + interval);
+
+    // Day 31 in a 30-day month falls back to the last day of that month
+    const year = target.getUTCFullYear();
+    const month = target.getUTCMonth();
+    target.setUTCDate(Math.min(monthDay, daysInMonth(year, month)));
+    return target;
+  }
+
+  return null;
+};
+
+// Creates the follow-up instance of a completed recurring task, logged as
+// created by the user who completed it. Returns null
+// when the task does not recur, already spawned its successor, or the series
+// has reached its end date or occurrence count.
+const createNextOccurrence = async (task, userId) => {
+  const recurrence = task.recurrence;
+
+  if (!recurrence?.frequency || task.nextOccurrence) {
+    return null;
+  }
+
+  const occurrence = recurrence.occurrence || 1;
+  if (recurrence.count && occurrence >= recurrence.count) {
+    return null;
+  }
+
+  const from = task.dueDate || new Date();
+  const dueDate = computeNextDueDate(recurrence, from);
+  if (!dueDate || (recurrence.endDate && dueDate > recurrence.endDate)) {
+    return null;
+  }
+
+  const nextTask = await Task.create({
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    dueDate,
+    checklist: task.checklist.map(({ text }) => ({ text, completed: false })),
+    user: task.user,
+    project: task.project,
+    assignee: task.assignee?._id || task.assignee,
+    watchers: task.watchers,
+    tags: task.tags.map(tag => tag._id || tag),
+    recurrence: {
+      ...recurrence.toObject(),
+      // Pin the day of month so clamping in short months does not drift
+      monthDay: recurrence.frequency === 'monthly'
+        ? recurrence.monthDay || from.getUTCDate()
+        : recurrence.monthDay,
+      occurrence: occurrence + 1
+    }
+  });
+
+  await recordActivity({
+    task: nextTask,
+    userId,
+    action: 'create',
+    after: snapshotTask(nextTask)
+  });
+  queueTaskEvent('create', nextTask);
+
+  task.nextOccurrence = nextTask._id;
+  await task.save();
+
+  return nextTask;
+};
+
+module.exports = {
+  computeNextDueDate,
+  createNextOccurrence
+};
@@ -0,0 +1,98 @@
+const Task = require('../models/Task');
+const { createNotifications } = require('./notifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const REMINDER_INTERVAL_MS = 15 * 60 * 1000;
+const BATCH_SIZE = 500;
+// Tasks that were already overdue for longer are not reported, so enabling
+// reminders does not flood users with old tasks
+const OVERDUE_LOOKBACK_DAYS = 7;
+
+const getDueSoonHours = () => {
+  return parseInt(process.env.DUE_SOON_HOURS, 10) || 24;
+};
+
+// Due dates are calendar days stored as midnight UTC: a task is due soon
+// from DUE_SOON_HOURS before that midnight and overdue once its day is over.
+const REMINDERS = [
+  {
+    type: 'due-soon',
+    field: 'dueSoon',
+    range: (now) => ({
+      $gt: new Date(now - DAY_MS),
+      $lte: new Date(now + getDueSoonHours() * HOUR_MS)
+    })
+  },
+  {
+    type: 'overdue',
+    field: 'overdue',
+    range: (now) => ({
+      $gt: new Date(now - (OVERDUE_LOOKBACK_DAYS + 1) * DAY_MS),
+      $lte: new Date(now - DAY_MS)
+    })
+  }
+];
+
+// Each reminder goes out once per due date: the task records the due date
+// it was sent for, so moving the due date arms the reminder again. Claiming
+// the task before notifying keeps concurrent runs from sending it twice.
+const sendReminders = async ({ type, field, range }, now) => {
+  const tasks = await Task.find({
+    dueDate: range(now),
+    status: { $ne: 'completed' },
+    deletedAt: null,
+    $expr: { $ne: [`$reminders.${field}`, '$dueDate'] }
+  })
+    .select('title user assignee dueDate')
+    .limit(BATCH_SIZE);
+
+  let sent = 0;
+
+  for (const task of tasks) {
+    const claim = await Task.updateOne(
+      { _id: task._id, dueDate: task.dueDate, [`reminders.${field}`]: { $ne: task.dueDate } },
+      { $set: { [`reminders.${field}`]: task.dueDate } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    await createNotifications({
+      userIds: [task.assignee || task.user],
+      type,
+      task,
+      data: { dueDate: task.dueDate.toISOString() }
+    });
+    sent++;
+  }
+
+  return sent;
+};
+
+const sendDueDateReminders = async (now = Date.now()) => {
+  let sent = 0;
+  for (const reminder of REMINDERS) {
+    sent += await sendReminders(reminder, now);
+  }
+  return sent;
+};
+
+const startDueDateReminders = () => {
+  const run = async () => {
+    try {
+      const count = await sendDueDateReminders();
+      if (count > 0) {
+        console.log(`🔔 Sent ${count} due date reminder(s)`);
+      }
+    } catch (error) {
+      console.error('Due date reminders error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, REMINDER_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  sendDueDateReminders,
+  startDueDateReminders
+};
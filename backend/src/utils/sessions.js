@@ -0,0 +1,119 @@
+const Session = require('../models/Session');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyRefreshToken
+} = require('../config/jwt');
+const { hashToken } = require('./tokens');
+
+const REUSE_GRACE_MS = 10 * 1000;
+const MAX_USER_AGENT_LENGTH = 500;
+
+const getRefreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+});
+
+const setRefreshCookie = (res, refreshToken, expiresAt) => {
+  res.cookie('refreshToken', refreshToken, {
+    ...getRefreshCookieOptions(),
+    expires: expiresAt
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie('refreshToken', getRefreshCookieOptions());
+};
+
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH),
+  ip: req.ip || ''
+});
+
+const issueTokens = (userId, sessionId) => {
+  const accessToken = generateAccessToken(userId, sessionId);
+  const refreshToken = generateRefreshToken(userId, sessionId);
+  const { exp } = verifyRefreshToken(refreshToken);
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(exp * 1000)
+  };
+};
+
+// Starts a session for a new sign-in on the requesting device
+const createSession = async (req, userId) => {
+  const session = new Session({ user: userId, ...getClientInfo(req) });
+  const { tokenHash, ...tokens } = issueTokens(userId, session._id);
+
+  session.tokenHash = tokenHash;
+  session.expiresAt = tokens.expiresAt;
+  await session.save();
+
+  return { session, ...tokens };
+};
+
+// Exchanges a refresh token for a new pair. Returns { error } when the
+// token is invalid, its session was revoked, or an already rotated token
+// is presented again, in which case the whole session is revoked.
+// refreshToken is omitted when a parallel refresh already rotated the
+// token, since the browser holds the newer cookie.
+const rotateSession = async (req, refreshToken) => {
+  const decoded = verifyRefreshToken(refreshToken);
+
+  if (!decoded || !decoded.sid) {
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const { tokenHash, ...tokens } = issueTokens(decoded.userId, decoded.sid);
+  const now = new Date();
+
+  // Matching on the current hash makes the rotation atomic
+  const session = await Session.findOneAndUpdate(
+    { _id: decoded.sid, user: decoded.userId, tokenHash: presentedHash },
+    {
+      tokenHash,
+      previousTokenHash: presentedHash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: tokens.expiresAt,
+      ip: req.ip || ''
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, ...tokens };
+  }
+
+  const existing = await Session.findOne({ _id: decoded.sid, user: decoded.userId })
+    .select('+previousTokenHash');
+
+  if (!existing) {
+    return { error: 'Session has been revoked' };
+  }
+
+  if (existing.previousTokenHash === presentedHash && now - existing.rotatedAt < REUSE_GRACE_MS) {
+    return { session: existing, accessToken: tokens.accessToken };
+  }
+
+  await existing.deleteOne();
+  console.warn(`Refresh token reuse detected, revoked session ${existing._id}`);
+  return { error: 'Refresh token reuse detected. Please log in again' };
+};
+
+const revokeSessions = (userId, filter = {}) => {
+  return Session.deleteMany({ user: userId, ...filter });
+};
+
+module.exports = {
+  setRefreshCookie,
+  clearRefreshCookie,
+  createSession,
+  rotateSession,
+  revokeSessions
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// A storage driver keeps attachment contents under opaque keys:
+//   save(key, stream, { contentType }) resolves once the stream is stored
+//   read(key) resolves to a readable stream
+//   remove(key) deletes the object; missing keys are not an error
+// STORAGE_DRIVER picks the driver by name (default "local"); other backends
+// can be added with registerDriver.
+const drivers = {
+  // Files under UPLOAD_DIR (default ./uploads)
+  local: () => {
+    const root = path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+
+    const resolveKey = (key) => {
+      const filePath = path.resolve(root, key);
+      if (!filePath.startsWith(root + path.sep)) {
+        throw new Error('Invalid storage key');
+      }
+      return filePath;
+    };
+
+    return {
+      save: async (key, stream) => {
+        const filePath = resolveKey(key);
+        await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+        await pipeline(stream, fs.createWriteStream(filePath, { flags: 'wx' }));
+      },
+      read: async (key) => {
+        const filePath = resolveKey(key);
+        await fsPromises.access(filePath);
+        return fs.createReadStream(filePath);
+      },
+      remove: async (key) => {
+        await fsPromises.rm(resolveKey(key), { force: true });
+      }
+    };
+  },
+
+  // Any S3-compatible service (AWS, MinIO, R2, ...). Needs the optional
+  // @aws-sdk/client-s3 and @aws-sdk/lib-storage packages. Credentials come
+  // from the SDK's usual sources, e.g. AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY.
+  s3: () => {
+    const { S3Client, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const { Upload } = require('@aws-sdk/lib-storage');
+
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+
+    return {
+      save: async (key, stream, { contentType } = {}) => {
+        const upload = new Upload({
+          client,
+          params: { Bucket: bucket, Key: key, Body: stream, ContentType: contentType }
+        });
+        await upload.done();
+      },
+      read: async (key) => {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return response.Body;
+      },
+      remove: async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      }
+    };
+  }
+};
+
+const instances = {};
+
+const registerDriver = (name, createDriver) => {
+  drivers[name] = createDriver;
+  delete instances[name];
+};
+
+const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || 'local';
+
+  if (!instances[name]) {
+    const createDriver = drivers[name];
+
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+
+    instances[name] = createDriver();
+  }
+
+  return instances[name];
+};
+
+module.exports = {
+  registerDriver,
+  getStorage
+};
@@ -0,0 +1,93 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { publish } = require('./events');
+const { TASK_EVENT_POPULATE } = require('./taskPopulate');
+
+// Everyone who can see the task: its owner, or every project member
+const getAudience = async (task) => {
+  const projectId = task.project?._id || task.project;
+
+  if (!projectId) {
+    return [task.user._id || task.user];
+  }
+
+  const project = await Project.findById(projectId).select('members');
+  return project ? project.members.map(member => member.user) : [];
+};
+
+// Publishes a task to its audience. Tags are private, so each member gets
+// only their own; members who see the same tags share one event.
+const publishTask = (audience, event, task) => {
+  const data = task.toJSON();
+  const groups = new Map();
+
+  audience.forEach(userId => {
+    const tags = data.tags.filter(tag => tag.user.equals(userId));
+    const key = tags.map(tag => tag._id).join(',');
+
+    if (!groups.has(key)) {
+      groups.set(key, { userIds: [], tags: tags.map(({ user, ...tag }) => tag) });
+    }
+    groups.get(key).userIds.push(userId);
+  });
+
+  groups.forEach(({ userIds, tags }) => publish(userIds, event, { task: { ...data, tags } }));
+};
+
+// Finishing, reopening, trashing or restoring a task changes isBlocked on
+// the tasks that depend on it
+const affectsDependents = (action, previousStatus, status) => {
+  if (['delete', 'restore'].includes(action)) return true;
+  return action === 'update' &&
+    previousStatus !== status &&
+    [previousStatus, status].includes('completed');
+};
+
+// Publishes task.created, task.updated or task.deleted for an activity
+// action, plus task.updated for dependents whose blocked state it changed.
+// Trashing counts as a delete and restoring as a create. Failures are
+// logged, never surfaced to the request.
+const publishTaskEvent = async (action, task, previousStatus, status) => {
+  try {
+    const audience = await getAudience(task);
+    if (audience.length === 0) return;
+
+    if (action === 'delete') {
+      publish(audience, 'task.deleted', {
+        taskId: task._id,
+        project: task.project?._id || task.project || null
+      });
+    } else {
+      const current = await Task.findById(task._id).populate(TASK_EVENT_POPULATE);
+      if (!current || current.deletedAt) return;
+
+      const event = ['create', 'restore'].includes(action) ? 'task.created' : 'task.updated';
+      publishTask(audience, event, current);
+    }
+
+    if (affectsDependents(action, previousStatus, status)) {
+      const dependents = await Task.find({ blockedBy: task._id, deletedAt: null })
+        .populate(TASK_EVENT_POPULATE);
+
+      dependents.forEach(dependent => publishTask(audience, 'task.updated', dependent));
+    }
+  } catch (error) {
+    console.error('Publish task event error:', error);
+  }
+};
+
+// Publishes after the current request work instead of holding it up: the
+// audience and populated task lookups cost extra round trips per write,
+// which add up over bulk updates and imports. previousStatus is the status
+// before an update.
+const queueTaskEvent = (action, task, previousStatus = null) => {
+  const { status } = task;
+
+  setImmediate(() => {
+    publishTaskEvent(action, task, previousStatus, status);
+  });
+};
+
+module.exports = {
+  queueTaskEvent
+};
@@ -0,0 +1,23 @@
+const ASSIGNEE = { path: 'assignee', select: 'username fullName' };
+const BLOCKED_BY = { path: 'blockedBy', select: 'title status', match: { deletedAt: null } };
+
+// The references every task endpoint fills in. Tags are private to the user
+// who created them, so a shared task only shows the viewer's own.
+const taskPopulate = (userId) => [
+  ASSIGNEE,
+  { path: 'tags', select: 'name color', match: { user: userId } },
+  BLOCKED_BY
+];
+
+// Live task events go to several users at once, so tags keep their owner
+// for the publisher to filter per recipient
+const TASK_EVENT_POPULATE = [
+  ASSIGNEE,
+  { path: 'tags', select: 'name color user' },
+  BLOCKED_BY
+];
+
+module.exports = {
+  taskPopulate,
+  TASK_EVENT_POPULATE
+};
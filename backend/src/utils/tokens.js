@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Random URL-safe secret handed to the client exactly once
+const generateToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Only the SHA-256 digest of a secret token is stored, so a database leak
+// does not expose usable tokens
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  generateToken,
+  hashToken
+};
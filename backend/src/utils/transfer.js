@@ -0,0 +1,112 @@
+const { parseCsv } = require('./csv');
+
+const EXPORT_COLUMNS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'tags',
+  'checklist',
+  'createdAt',
+  'updatedAt'
+];
+
+// In CSV, tags are separated by semicolons and checklist items by line
+// breaks, with a "[x] " or "[ ] " prefix for their completed state
+const TAG_SEPARATOR = ';';
+const CHECKLIST_ITEM = /^\[( |x|X)\]\s?(.*)$/;
+
+const toExportRecord = (task) => ({
+  title: task.title,
+  description: task.description || '',
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.dueDate ? task.dueDate.toISOString().slice(0, 10) : null,
+  tags: task.tags.map(tag => tag.name),
+  checklist: task.checklist.map(({ text, completed }) => ({ text, completed })),
+  createdAt: task.createdAt,
+  updatedAt: task.updatedAt
+});
+
+const toCsvRow = (record) => {
+  return EXPORT_COLUMNS.map(column => {
+    switch (column) {
+      case 'tags':
+        return record.tags.join(`${TAG_SEPARATOR} `);
+      case 'checklist':
+        return record.checklist
+          .map(item => `[${item.completed ? 'x' : ' '}] ${item.text}`)
+          .join('\n');
+      case 'createdAt':
+      case 'updatedAt':
+        return record[column].toISOString();
+      default:
+        return record[column];
+    }
+  });
+};
+
+// Turns CSV records into objects keyed by the header row. Empty cells are
+// left out so they behave like omitted fields.
+const csvToRows = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  if (!columns.includes('title')) {
+    throw new Error('The header row must include a title column');
+  }
+
+  return records.map(record => {
+    const row = {};
+
+    columns.forEach((column, index) => {
+      if (record[index] !== undefined && record[index] !== '') {
+        row[column] = record[index];
+      }
+    });
+
+    if (row.tags !== undefined) {
+      row.tags = row.tags.split(TAG_SEPARATOR).map(name => name.trim()).filter(Boolean);
+    }
+
+    if (row.checklist !== undefined) {
+      row.checklist = row.checklist
+        .split(/\r?\n/)
+        .filter(line => line.trim())
+        .map(line => {
+          const match = line.match(CHECKLIST_ITEM);
+          return match
+            ? { text: match[2], completed: match[1] !== ' ' }
+            : { text: line, completed: false };
+        });
+    }
+
+    return row;
+  });
+};
+
+// Accepts either an array of tasks or an export file ({ tasks: [...] }).
+// Throws when the payload cannot be parsed.
+const jsonToRows = (payload) => {
+  const data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  const rows = Array.isArray(data) ? data : data?.tasks;
+
+  if (!Array.isArray(rows)) {
+    throw new Error('Expected an array of tasks or an object with a tasks array');
+  }
+
+  return rows;
+};
+
+const parseImportRows = (body, format) => {
+  return format === 'json' ? jsonToRows(body) : csvToRows(body);
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  toExportRecord,
+  toCsvRow,
+  parseImportRows
+};
@@ -0,0 +1,80 @@
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const getRetentionDays = () => {
+  return parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+};
+
+const getPurgeDate = (deletedAt) => {
+  return new Date(deletedAt.getTime() + getRetentionDays() * DAY_MS);
+};
+
+// Deletes the stored files before their records. A file that fails to
+// delete is logged and left behind rather than blocking the purge.
+const removeAttachments = async (taskIds) => {
+  const attachments = await Attachment.find({ task: { $in: taskIds } }).select('+storageKey');
+  if (attachments.length === 0) return;
+
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    try {
+      await storage.remove(attachment.storageKey);
+    } catch (error) {
+      console.error(`Error removing attachment file ${attachment.storageKey}:`, error);
+    }
+  }
+
+  await Attachment.deleteMany({ task: { $in: taskIds } });
+};
+
+// Permanently removes the matching tasks together with their activity log,
+// comments, notifications and attachments, and drops them from other tasks'
+// dependencies. Returns the number of tasks removed.
+const purgeTasks = async (filter) => {
+  const ids = await Task.find(filter).distinct('_id');
+  if (ids.length === 0) return 0;
+
+  await Activity.deleteMany({ task: { $in: ids } });
+  await Comment.deleteMany({ task: { $in: ids } });
+  await Notification.deleteMany({ task: { $in: ids } });
+  await removeAttachments(ids);
+  await Task.updateMany({ blockedBy: { $in: ids } }, { $pull: { blockedBy: { $in: ids } } });
+  const result = await Task.deleteMany({ _id: { $in: ids } });
+  return result.deletedCount;
+};
+
+const purgeExpiredTasks = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * DAY_MS);
+  return purgeTasks({ deletedAt: { $ne: null, $lte: cutoff } });
+};
+
+const startTrashPurge = () => {
+  const run = async () => {
+    try {
+      const count = await purgeExpiredTasks();
+      if (count > 0) {
+        console.log(`🗑️  Purged ${count} expired task(s) from trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getPurgeDate,
+  purgeTasks,
+  purgeExpiredTasks,
+  startTrashPurge
+};
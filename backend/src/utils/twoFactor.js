@@ -0,0 +1,66 @@
+const User = require('../models/User');
+const { verifyCode } = require('./totp');
+const { generateToken, hashToken } = require('./tokens');
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes';
+
+// Recovery codes are shown as "a1b2c-3d4e5" but compared without the
+// dash or case so they are easy to type
+const normalizeRecoveryCode = (code) => {
+  return String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+};
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+// Accepts a TOTP code or an unused recovery code for a user loaded with
+// TWO_FACTOR_FIELDS. Both are consumed atomically, so the same code cannot
+// complete two logins. Returns 'totp', 'recovery' or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastStep: { $lt: step } },
+          { twoFactorLastStep: null }
+        ]
+      },
+      { twoFactorLastStep: step }
+    );
+
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+
+    return result.modifiedCount === 1 ? 'recovery' : null;
+  }
+
+  return null;
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  generateRecoveryCodes,
+  verifySecondFactor
+};
@@ -0,0 +1,194 @@
+const busboy = require('busboy');
+const { Transform } = require('stream');
+const { getStorage } = require('./storage');
+const { generateToken } = require('./tokens');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const SNIFF_BYTES = 12;
+const MAX_FILENAME_LENGTH = 200;
+
+const startsWith = (bytes) => (head) => head.subarray(0, bytes.length).equals(Buffer.from(bytes));
+const isZip = startsWith([0x50, 0x4b, 0x03, 0x04]);
+
+// Accepted MIME types. Types with a matcher must also start with the
+// matching magic bytes, so a renamed executable is not accepted as a PNG.
+const ALLOWED_TYPES = {
+  'image/png': startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/jpeg': startsWith([0xff, 0xd8, 0xff]),
+  'image/gif': startsWith([0x47, 0x49, 0x46, 0x38]),
+  'image/webp': (head) =>
+    head.subarray(0, 4).toString('latin1') === 'RIFF' &&
+    head.subarray(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': startsWith([0x25, 0x50, 0x44, 0x46]),
+  'application/zip': isZip,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': isZip,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': isZip,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': isZip,
+  'text/plain': null,
+  'text/csv': null,
+  'text/markdown': null,
+  'application/json': null
+};
+
+const getMaxBytes = () => {
+  return parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+};
+
+const formatSize = (bytes) => {
+  return bytes >= 1024 * 1024
+    ? `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`
+    : `${Math.ceil(bytes / 1024)} KB`;
+};
+
+// Keeps only the base name, without control characters
+const sanitizeFilename = (filename) => {
+  const name = String(filename || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .trim()
+    .slice(0, MAX_FILENAME_LENGTH);
+
+  return name || 'file';
+};
+
+const typeMismatch = () => Object.assign(new Error('File contents do not match its type'), {
+  code: 'TYPE_MISMATCH'
+});
+
+// Passes the stream through while counting its bytes and checking the
+// first bytes against the type's matcher
+const createInspector = (mimeType) => {
+  const matches = ALLOWED_TYPES[mimeType];
+  let head = matches ? Buffer.alloc(0) : null;
+
+  const inspector = new Transform({
+    transform(chunk, encoding, callback) {
+      inspector.size += chunk.length;
+
+      if (!head) return callback(null, chunk);
+
+      head = Buffer.concat([head, chunk]);
+      if (head.length < SNIFF_BYTES) return callback();
+
+      const checked = head;
+      head = null;
+      callback(matches(checked) ? null : typeMismatch(), checked);
+    },
+    flush(callback) {
+      if (!head) return callback();
+      callback(matches(head) ? null : typeMismatch(), head);
+    }
+  });
+
+  inspector.size = 0;
+  return inspector;
+};
+
+// Streams the "file" field of a multipart request straight into storage
+// under keyPrefix. Resolves to { file: { key, filename, mimeType, size } },
+// or to { error: { status, message } } when the upload is rejected; nothing
+// is left in storage in that case. Storage failures reject.
+const receiveUpload = (req, keyPrefix) => {
+  return new Promise((resolve, reject) => {
+    const maxBytes = getMaxBytes();
+    let parser;
+
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: 1, fields: 0, fileSize: maxBytes }
+      });
+    } catch (error) {
+      resolve({ error: { status: 400, message: 'Expected a multipart/form-data upload' } });
+      return;
+    }
+
+    const storage = getStorage();
+    let upload = null;
+
+    parser.on('file', (field, stream, { filename, mimeType }) => {
+      if (field !== 'file' || upload) {
+        stream.resume();
+        return;
+      }
+
+      if (!(mimeType in ALLOWED_TYPES)) {
+        stream.resume();
+        upload = Promise.resolve({
+          error: { status: 415, message: `Files of type ${mimeType} are not allowed` }
+        });
+        return;
+      }
+
+      const key = `${keyPrefix}/${generateToken(16)}`;
+      const inspector = createInspector(mimeType);
+
+      // The driver may only start reading after some async setup, so the
+      // reason the inspector failed is kept here rather than relying on the
+      // error the driver reports
+      let rejection = null;
+      inspector.on('error', (error) => {
+        rejection = error;
+      });
+
+      stream.on('limit', () => {
+        inspector.destroy(Object.assign(new Error('File too large'), { code: 'TOO_LARGE' }));
+      });
+
+      upload = storage.save(key, stream.pipe(inspector), { contentType: mimeType })
+        .then(() => ({
+          file: { key, filename: sanitizeFilename(filename), mimeType, size: inspector.size }
+        }))
+        .catch(async (error) => {
+          stream.resume();
+          await storage.remove(key).catch(() => {});
+
+          const reason = rejection || error;
+
+          if (reason.code === 'TOO_LARGE') {
+            return {
+              error: {
+                status: 413,
+                message: `Files cannot exceed ${formatSize(maxBytes)}`
+              }
+            };
+          }
+          if (reason.code === 'TYPE_MISMATCH') {
+            return { error: { status: 415, message: `File contents are not valid ${mimeType}` } };
+          }
+          throw error;
+        });
+    });
+
+    parser.on('close', () => {
+      if (!upload) {
+        resolve({ error: { status: 400, message: 'No file uploaded. Send it in a field named "file"' } });
+        return;
+      }
+      upload.then(resolve, reject);
+    });
+
+    parser.on('error', () => {
+      req.unpipe(parser);
+      req.resume();
+
+      // Remove whatever part of the file was already stored
+      if (upload) {
+        upload
+          .then(result => result.file && storage.remove(result.file.key))
+          .catch(() => {});
+      }
+
+      resolve({ error: { status: 400, message: 'Malformed multipart upload' } });
+    });
+
+    req.pipe(parser);
+  });
+};
+
+module.exports = {
+  ALLOWED_TYPES,
+  getMaxBytes,
+  receiveUpload
+};
@@ -0,0 +1,31 @@
+// What accounts with an unverified email may do, set by UNVERIFIED_USER_POLICY:
+// - full: everything
+// - read-only: read requests only (default)
+// - blocked: nothing but their own account routes
+const POLICIES = ['full', 'read-only', 'blocked'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const getUnverifiedPolicy = () => {
+  const policy = process.env.UNVERIFIED_USER_POLICY;
+  return POLICIES.includes(policy) ? policy : 'read-only';
+};
+
+// Accounts created before verification existed have no flag and count as
+// verified
+const isEmailVerified = (user) => {
+  return user.emailVerified !== false;
+};
+
+// Account routes (profile, logout, resending the link) always stay available
+const isAllowedWhileUnverified = (req) => {
+  const policy = getUnverifiedPolicy();
+
+  if (policy === 'full' || req.baseUrl === '/api/auth') return true;
+  return policy === 'read-only' && READ_METHODS.includes(req.method);
+};
+
+module.exports = {
+  getUnverifiedPolicy,
+  isEmailVerified,
+  isAllowedWhileUnverified
+};
@@ -0,0 +1,135 @@
+const { body } = require('express-validator');
+const { MAX_CHECKLIST_ITEMS } = require('../config/taskLimits');
+
+// Shared by the task routes and the import endpoint, which validates each
+// imported row with the same rules as POST /api/tasks
+
+const recurrenceValidation = [
+  body('recurrence')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Recurrence must be an object'),
+  body('recurrence.frequency')
+    .if(body('recurrence').isObject())
+    .isIn(['daily', 'weekly', 'monthly'])
+    .withMessage('Frequency must be daily, weekly, or monthly'),
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be between 1 and 365')
+    .toInt(),
+  body('recurrence.weekdays')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Weekdays must be an array'),
+  body('recurrence.weekdays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekdays must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+  body('recurrence.monthDay')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day of month must be between 1 and 31')
+    .toInt(),
+  body('recurrence.endDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  body('recurrence.count')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Count must be between 1 and 1000')
+    .toInt()
+];
+
+// Overrides the blocked-task check when starting or completing a task
+const forceValidation = [
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('force must be a boolean')
+    .toBoolean()
+];
+
+const dependencyValidation = [
+  body('blockedBy')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('blockedBy must be an array of at most 20 tasks'),
+  body('blockedBy.*')
+    .isMongoId()
+    .withMessage('Invalid task ID in blockedBy'),
+  ...forceValidation
+];
+
+const createTaskValidation = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: 100 })
+    .withMessage('Title cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('status')
+    .optional()
+    .isIn(['pending', 'in-progress', 'completed'])
+    .withMessage('Status must be pending, in-progress, or completed'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Priority must be low, medium, or high'),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  body('checklist')
+    .optional()
+    .isArray({ max: MAX_CHECKLIST_ITEMS })
+    .withMessage(`Checklist must be an array of at most ${MAX_CHECKLIST_ITEMS} items`),
+  body('checklist.*.text')
+    .trim()
+    .notEmpty()
+    .withMessage('Checklist item text is required')
+    .isLength({ max: 200 })
+    .withMessage('Checklist item cannot exceed 200 characters'),
+  body('checklist.*.completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Checklist item completed must be a boolean')
+    .toBoolean(),
+  body('project')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+  body('assignee')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid assignee ID'),
+  body('watchers')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Watchers must be an array of at most 50 users'),
+  body('watchers.*')
+    .isMongoId()
+    .withMessage('Invalid watcher ID'),
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 tags'),
+  body('tags.*')
+    .isMongoId()
+    .withMessage('Invalid tag ID'),
+  ...dependencyValidation,
+  ...recurrenceValidation
+];
+
+module.exports = {
+  recurrenceValidation,
+  forceValidation,
+  dependencyValidation,
+  createTaskValidation
+};
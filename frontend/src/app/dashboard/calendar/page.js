@@ -0,0 +1,323 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { ChevronLeft, ChevronRight, AlertCircle } from 'lucide-react';
+import TaskModal from '@/components/TaskModal';
+import { useProjects } from '@/context/ProjectContext';
+import { WEEKDAYS } from '@/lib/recurrence';
+
+const PAGE_SIZE = 100;
+const MAX_TASKS_PER_DAY = 3;
+
+// Due dates are stored as UTC midnight, so days are compared as
+// YYYY-MM-DD keys instead of local Date objects.
+const toKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Returns the days shown for the given mode, always starting on a Sunday
+const getVisibleDays = (anchor, mode) => {
+  const start =
+    mode === 'week' ? new Date(anchor) : new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  start.setDate(start.getDate() - start.getDay());
+
+  let length = 7;
+  if (mode === 'month') {
+    const lastOfMonth = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+    const end = addDays(lastOfMonth, 6 - lastOfMonth.getDay());
+    length = Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+  }
+
+  return Array.from({ length }, (_, i) => addDays(start, i));
+};
+
+export default function CalendarPage() {
+  const { currentProject, currentProjectId, canEdit } = useProjects();
+  const [mode, setMode] = useState('month');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropKey, setDropKey] = useState(null);
+  const [editingTask, setEditingTask] = useState(null);
+  const [expandedKey, setExpandedKey] = useState(null);
+
+  const days = getVisibleDays(anchor, mode);
+  const fromKey = toKey(days[0]);
+  const toKeyExclusive = toKey(addDays(days[days.length - 1], 1));
+  const todayKey = toKey(new Date());
+
+  useEffect(() => {
+    fetchTasks();
+  }, [fromKey, toKeyExclusive, currentProjectId]);
+
+  // Loads every task due inside the visible window, following cursors
+  // until the window is exhausted
+  const fetchTasks = async () => {
+    try {
+      setLoading(true);
+      let cursor = null;
+      let all = [];
+
+      do {
+        const params = new URLSearchParams();
+        params.append('dueFrom', fromKey);
+        params.append('dueTo', toKeyExclusive);
+        params.append('sortBy', 'dueDate');
+        params.append('order', 'asc');
+        params.append('limit', PAGE_SIZE);
+        if (currentProjectId) params.append('project', currentProjectId);
+        if (cursor) params.append('cursor', cursor);
+
+        const response = await api.get(`/api/tasks?${params.toString()}`);
+        const { tasks: page, pagination } = response.data.data;
+        all = [...all, ...page];
+        cursor = pagination.hasMore ? pagination.nextCursor : null;
+      } while (cursor);
+
+      setTasks(all);
+    } catch (error) {
+      console.error('Error fetching tasks:', error);
+      toast.error('Failed to fetch tasks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const tasksByDay = tasks.reduce((groups, task) => {
+    const key = task.dueDate.slice(0, 10);
+    (groups[key] = groups[key] || []).push(task);
+    return groups;
+  }, {});
+
+  const isOverdue = (task) => task.status !== 'completed' && task.dueDate.slice(0, 10) < todayKey;
+
+  const navigate = (direction) => {
+    setAnchor((prev) =>
+      mode === 'week'
+        ? addDays(prev, direction * 7)
+        : new Date(prev.getFullYear(), prev.getMonth() + direction, 1)
+    );
+  };
+
+  const handleReschedule = async (taskId, key) => {
+    const task = tasks.find((item) => item._id === taskId);
+    if (!task || task.dueDate.slice(0, 10) === key) return;
+
+    const previous = tasks;
+    setTasks((prev) =>
+      prev.map((item) =>
+        item._id === taskId ? { ...item, dueDate: `${key}T00:00:00.000Z` } : item
+      )
+    );
+
+    try {
+      await api.put(`/api/tasks/${taskId}`, { dueDate: key });
+      toast.success(`Rescheduled to ${new Date(`${key}T00:00:00`).toLocaleDateString()}`);
+    } catch (error) {
+      console.error('Error rescheduling task:', error);
+      setTasks(previous);
+      toast.error(error.response?.data?.message || 'Failed to reschedule task');
+    }
+  };
+
+  const handleDrop = (e, key) => {
+    e.preventDefault();
+    if (draggedId) handleReschedule(draggedId, key);
+    setDraggedId(null);
+    setDropKey(null);
+  };
+
+  const handleTaskSaved = () => {
+    setEditingTask(null);
+    fetchTasks();
+  };
+
+  const title =
+    mode === 'week'
+      ? `${days[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${days[6].toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+      : anchor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Calendar</h1>
+          <p className="text-gray-600 mt-1">
+            {currentProject ? `Due dates in ${currentProject.name}` : 'Due dates of your personal tasks'}
+          </p>
+        </div>
+        <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+          {['month', 'week'].map((value) => (
+            <button
+              key={value}
+              onClick={() => setMode(value)}
+              className={`px-3 py-2 text-sm font-medium capitalize transition-colors ${
+                mode === value ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => navigate(-1)}
+              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+              aria-label="Previous"
+            >
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => navigate(1)}
+              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+              aria-label="Next"
+            >
+              <ChevronRight className="w-5 h-5" />
+            </button>
+            <button onClick={() => setAnchor(new Date())} className="btn-secondary text-sm">
+              Today
+            </button>
+          </div>
+          <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+          <div className="w-8">
+            {loading && (
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-7 border-t border-l border-gray-200">
+          {WEEKDAYS.map((day) => (
+            <div
+              key={day}
+              className="border-r border-b border-gray-200 bg-gray-50 px-2 py-1 text-xs font-medium text-gray-500 text-center"
+            >
+              {day}
+            </div>
+          ))}
+
+          {days.map((day) => {
+            const key = toKey(day);
+            const dayTasks = tasksByDay[key] || [];
+            const isExpanded = mode === 'week' || expandedKey === key;
+            const visibleTasks = isExpanded ? dayTasks : dayTasks.slice(0, MAX_TASKS_PER_DAY);
+            const isOutsideMonth = mode === 'month' && day.getMonth() !== anchor.getMonth();
+
+            return (
+              <div
+                key={key}
+                onDragOver={(e) => {
+                  if (!draggedId) return;
+                  e.preventDefault();
+                  if (dropKey !== key) setDropKey(key);
+                }}
+                onDrop={(e) => handleDrop(e, key)}
+                className={`border-r border-b border-gray-200 p-1 ${
+                  mode === 'week' ? 'min-h-[20rem]' : 'min-h-[6.5rem]'
+                } ${isOutsideMonth ? 'bg-gray-50' : 'bg-white'} ${
+                  dropKey === key ? 'ring-2 ring-inset ring-primary-400' : ''
+                }`}
+              >
+                <div
+                  className={`text-xs font-medium mb-1 w-6 h-6 flex items-center justify-center rounded-full ${
+                    key === todayKey
+                      ? 'bg-primary-600 text-white'
+                      : isOutsideMonth
+                      ? 'text-gray-400'
+                      : 'text-gray-700'
+                  }`}
+                >
+                  {day.getDate()}
+                </div>
+
+                <div className="space-y-1">
+                  {visibleTasks.map((task) => (
+                    <button
+                      key={task._id}
+                      draggable={canEdit}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move';
+                        e.dataTransfer.setData('text/plain', task._id);
+                        setDraggedId(task._id);
+                      }}
+                      onDragEnd={() => {
+                        setDraggedId(null);
+                        setDropKey(null);
+                      }}
+                      onClick={() => setEditingTask(task)}
+                      title={task.title}
+                      className={`w-full text-left text-xs px-1.5 py-1 rounded truncate flex items-center gap-1 ${
+                        task.status === 'completed'
+                          ? 'bg-green-50 text-green-700 line-through'
+                          : isOverdue(task)
+                          ? 'bg-red-100 text-red-800 font-medium'
+                          : task.status === 'in-progress'
+                          ? 'bg-blue-50 text-blue-800'
+                          : 'bg-yellow-50 text-yellow-800'
+                      } ${draggedId === task._id ? 'opacity-50' : ''} ${
+                        canEdit ? 'cursor-grab' : 'cursor-pointer'
+                      }`}
+                    >
+                      {isOverdue(task) && <AlertCircle className="w-3 h-3 shrink-0" />}
+                      <span className="truncate">{task.title}</span>
+                    </button>
+                  ))}
+
+                  {!isExpanded && dayTasks.length > MAX_TASKS_PER_DAY && (
+                    <button
+                      onClick={() => setExpandedKey(key)}
+                      className="text-xs text-primary-600 hover:underline px-1.5"
+                    >
+                      +{dayTasks.length - MAX_TASKS_PER_DAY} more
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex flex-wrap gap-4 mt-4 text-xs text-gray-500">
+          <span className="flex items-center gap-1">
+            <span className="w-3 h-3 rounded bg-yellow-100" /> Pending
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="w-3 h-3 rounded bg-blue-100" /> In progress
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="w-3 h-3 rounded bg-green-100" /> Completed
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="w-3 h-3 rounded bg-red-200" /> Overdue
+          </span>
+          {canEdit && <span>Drag a task to another day to reschedule it</span>}
+        </div>
+      </div>
+
+      {editingTask && (
+        <TaskModal
+          task={editingTask}
+          projectId={currentProjectId}
+          readOnly={!canEdit}
+          onClose={() => setEditingTask(null)}
+          onSave={handleTaskSaved}
+        />
+      )}
+    </div>
+  );
+}
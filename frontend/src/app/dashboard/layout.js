@@ -1,13 +1,18 @@
 import ProtectedRoute from '@/components/ProtectedRoute';
 import Navbar from '@/components/Navbar';
+import EmailVerificationBanner from '@/components/EmailVerificationBanner';
+import { ProjectProvider } from '@/context/ProjectContext';
 
 export default function DashboardLayout({ children }) {
   return (
     <ProtectedRoute>
-      <div className="min-h-screen bg-gray-50">
-        <Navbar />
-        <main className="container mx-auto px-4 py-8">{children}</main>
-      </div>
+      <ProjectProvider>
+        <div className="min-h-screen bg-gray-50">
+          <Navbar />
+          <EmailVerificationBanner />
+          <main className="container mx-auto px-4 py-8">{children}</main>
+        </div>
+      </ProjectProvider>
     </ProtectedRoute>
   );
 }
@@ -1,6 +1,6 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import api from '@/lib/api';
 import { toast } from 'sonner';
 import { 
@@ -12,46 +12,214 @@ import {
   Calendar,
   CheckCircle2,
   Clock,
-  AlertCircle
+  AlertCircle,
+  ListChecks,
+  UserCircle,
+  Repeat,
+  List,
+  Kanban,
+  Download,
+  Upload,
+  Lock,
+  Eye
 } from 'lucide-react';
 import TaskModal from '@/components/TaskModal';
+import BulkActionBar from '@/components/BulkActionBar';
+import TagChip from '@/components/TagChip';
+import TaskBoard from '@/components/TaskBoard';
+import ImportTasksModal from '@/components/ImportTasksModal';
+import { useAuth } from '@/context/AuthContext';
+import { useProjects } from '@/context/ProjectContext';
+import { describeBlockers } from '@/lib/dependencies';
+import { describeRecurrence } from '@/lib/recurrence';
+import { subscribeToTaskEvents } from '@/lib/events';
+import { matchesTaskFilters } from '@/lib/taskFilters';
+
+const PAGE_SIZE = 20;
+const STATS_REFRESH_DELAY_MS = 500;
 
 export default function DashboardPage() {
+  const { user } = useAuth();
+  const { currentProject, currentProjectId, canEdit } = useProjects();
   const [tasks, setTasks] = useState([]);
   const [stats, setStats] = useState({ total: 0, pending: 0, 'in-progress': 0, completed: 0 });
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
   const [priorityFilter, setPriorityFilter] = useState('');
+  const [assigneeFilter, setAssigneeFilter] = useState('');
+  const [tagFilter, setTagFilter] = useState([]);
+  const [tagMatch, setTagMatch] = useState('any');
+  const [tags, setTags] = useState([]);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [view, setView] = useState(null);
+  const [boardVersion, setBoardVersion] = useState(0);
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const loadMoreRef = useRef(null);
+  const taskEventHandlerRef = useRef(null);
+  const statsTimerRef = useRef(null);
 
   useEffect(() => {
-    fetchTasks();
+    if (view === 'list') fetchTasks();
     fetchStats();
-  }, [searchQuery, statusFilter, priorityFilter]);
+  }, [searchQuery, statusFilter, priorityFilter, assigneeFilter, tagFilter, tagMatch, currentProjectId, view]);
+
+  useEffect(() => {
+    setView(localStorage.getItem('taskView') === 'board' ? 'board' : 'list');
+    fetchTags();
+  }, []);
+
+  // One subscription for the page's lifetime; the handler is read through
+  // a ref so it always sees the current filters
+  useEffect(() => {
+    const unsubscribe = subscribeToTaskEvents((type, data) => taskEventHandlerRef.current(type, data));
+    return () => {
+      unsubscribe();
+      clearTimeout(statsTimerRef.current);
+    };
+  }, []);
+
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting && !loadingMore) {
+          fetchTasks(nextCursor);
+        }
+      },
+      { rootMargin: '200px' }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, nextCursor, loadingMore]);
+
+  // Filters shared by the list and the board. The board splits tasks into
+  // status columns itself, so the status filter is left to the list.
+  const filterParams = () => {
+    const params = new URLSearchParams();
+    if (searchQuery) params.append('search', searchQuery);
+    if (priorityFilter) params.append('priority', priorityFilter);
+    if (assigneeFilter) params.append('assignee', assigneeFilter);
+    if (tagFilter.length > 0) {
+      params.append('tags', tagFilter.join(','));
+      params.append('tagMatch', tagMatch);
+    }
+    if (currentProjectId) params.append('project', currentProjectId);
+    return params;
+  };
+
+  const refreshTasks = () => {
+    if (view === 'board') {
+      setBoardVersion((version) => version + 1);
+    } else {
+      fetchTasks();
+    }
+  };
+
+  // Tasks changed elsewhere (another tab, device or project member) are
+  // patched into the list in place. The board applies them to its own
+  // columns. Stats are reloaded once a burst of events has settled.
+  const handleTaskEvent = (type, data) => {
+    if (type === 'reset') {
+      refreshTasks();
+      fetchStats();
+      return;
+    }
+
+    clearTimeout(statsTimerRef.current);
+    statsTimerRef.current = setTimeout(fetchStats, STATS_REFRESH_DELAY_MS);
+
+    if (view !== 'list') return;
+
+    if (type === 'task.deleted') {
+      setTasks((prev) => prev.filter((task) => task._id !== data.taskId));
+      setSelectedIds((prev) => prev.filter((id) => id !== data.taskId));
+      return;
+    }
+
+    const params = filterParams();
+    if (statusFilter) params.append('status', statusFilter);
+    const matches = matchesTaskFilters(data.task, params, user?.id || user?._id);
+
+    setTasks((prev) => {
+      const isListed = prev.some((task) => task._id === data.task._id);
 
-  const fetchTasks = async () => {
+      if (matches === false) {
+        return isListed ? prev.filter((task) => task._id !== data.task._id) : prev;
+      }
+      if (isListed) {
+        return prev.map((task) => (task._id === data.task._id ? data.task : task));
+      }
+      // The list is newest first, so new tasks go on top
+      return type === 'task.created' && matches ? [data.task, ...prev] : prev;
+    });
+  };
+  taskEventHandlerRef.current = handleTaskEvent;
+
+  const changeView = (nextView) => {
+    localStorage.setItem('taskView', nextView);
+    setSelectedIds([]);
+    setView(nextView);
+  };
+
+  // Without a cursor the list is reloaded from the first page
+  const fetchTasks = async (cursor = null) => {
     try {
-      setLoading(true);
-      const params = new URLSearchParams();
-      if (searchQuery) params.append('search', searchQuery);
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
+      const params = filterParams();
       if (statusFilter) params.append('status', statusFilter);
-      if (priorityFilter) params.append('priority', priorityFilter);
+      params.append('limit', PAGE_SIZE);
+      if (cursor) params.append('cursor', cursor);
 
       const response = await api.get(`/api/tasks?${params.toString()}`);
-      setTasks(response.data.data.tasks);
+      const { tasks: page, pagination } = response.data.data;
+      setTasks((prev) => (cursor ? [...prev, ...page] : page));
+      if (!cursor) setSelectedIds([]);
+      setNextCursor(pagination.nextCursor);
+      setHasMore(pagination.hasMore);
     } catch (error) {
       console.error('Error fetching tasks:', error);
       toast.error('Failed to fetch tasks');
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
   };
 
+  const fetchTags = async () => {
+    try {
+      const response = await api.get('/api/tags');
+      setTags(response.data.data.tags);
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+    }
+  };
+
+  const toggleTagFilter = (tagId) => {
+    setTagFilter((prev) =>
+      prev.includes(tagId) ? prev.filter((id) => id !== tagId) : [...prev, tagId]
+    );
+  };
+
   const fetchStats = async () => {
     try {
-      const response = await api.get('/api/tasks/stats');
+      const params = new URLSearchParams();
+      if (currentProjectId) params.append('project', currentProjectId);
+
+      const response = await api.get(`/api/tasks/stats?${params.toString()}`);
       setStats(response.data.data.stats);
     } catch (error) {
       console.error('Error fetching stats:', error);
@@ -68,15 +236,28 @@ export default function DashboardPage() {
     setIsModalOpen(true);
   };
 
-  const handleDeleteTask = async (taskId) => {
-    if (!confirm('Are you sure you want to delete this task?')) {
-      return;
+  const handleRestoreTask = async (taskId) => {
+    try {
+      await api.post(`/api/tasks/${taskId}/restore`);
+      toast.success('Task restored');
+      refreshTasks();
+      fetchStats();
+    } catch (error) {
+      console.error('Error restoring task:', error);
+      toast.error('Failed to restore task');
     }
+  };
 
+  const handleDeleteTask = async (taskId) => {
     try {
       await api.delete(`/api/tasks/${taskId}`);
-      toast.success('Task deleted successfully');
-      fetchTasks();
+      toast.success('Task moved to trash', {
+        action: {
+          label: 'Undo',
+          onClick: () => handleRestoreTask(taskId),
+        },
+      });
+      refreshTasks();
       fetchStats();
     } catch (error) {
       console.error('Error deleting task:', error);
@@ -84,9 +265,87 @@ export default function DashboardPage() {
     }
   };
 
+  const toggleSelected = (taskId) => {
+    setSelectedIds((prev) =>
+      prev.includes(taskId) ? prev.filter((id) => id !== taskId) : [...prev, taskId]
+    );
+  };
+
+  const handleBulkAction = async (action, updates) => {
+    try {
+      const response = await api.post('/api/tasks/bulk', {
+        ids: selectedIds,
+        action,
+        updates,
+      });
+      const { results, succeeded, failed } = response.data.data;
+      const succeededIds = results.filter((result) => result.success).map((result) => result.id);
+
+      if (action === 'delete') {
+        toast.success(`${succeeded} task${succeeded === 1 ? '' : 's'} moved to trash`, {
+          action: {
+            label: 'Undo',
+            onClick: async () => {
+              await Promise.allSettled(
+                succeededIds.map((id) => api.post(`/api/tasks/${id}/restore`))
+              );
+              toast.success('Tasks restored');
+              fetchTasks();
+              fetchStats();
+            },
+          },
+        });
+      } else {
+        toast.success(`${succeeded} task${succeeded === 1 ? '' : 's'} updated`);
+      }
+
+      if (failed > 0) {
+        toast.error(`${failed} task${failed === 1 ? '' : 's'} could not be changed`);
+      }
+
+      fetchTasks();
+      fetchStats();
+    } catch (error) {
+      console.error('Error applying bulk action:', error);
+      toast.error(error.response?.data?.message || 'Failed to apply bulk action');
+    }
+  };
+
+  const handleExport = async (format) => {
+    setIsExportMenuOpen(false);
+
+    try {
+      const params = filterParams();
+      if (view === 'list' && statusFilter) params.append('status', statusFilter);
+      params.append('format', format);
+
+      const response = await api.get(`/api/tasks/export?${params.toString()}`, {
+        responseType: 'blob',
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting tasks:', error);
+      toast.error('Failed to export tasks');
+    }
+  };
+
+  const handleImported = () => {
+    setIsImportOpen(false);
+    fetchTags();
+    refreshTasks();
+    fetchStats();
+  };
+
   const handleTaskSaved = () => {
     setIsModalOpen(false);
-    fetchTasks();
+    fetchTags();
+    refreshTasks();
     fetchStats();
   };
 
@@ -114,13 +373,71 @@ export default function DashboardPage() {
     <div className="space-y-6">
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
         <div>
-          <h1 className="text-3xl font-bold text-gray-900">My Tasks</h1>
-          <p className="text-gray-600 mt-1">Manage and organize your tasks</p>
+          <h1 className="text-3xl font-bold text-gray-900">
+            {currentProject ? currentProject.name : 'My Tasks'}
+          </h1>
+          <p className="text-gray-600 mt-1">
+            {currentProject
+              ? `Shared project · You are ${currentProject.role === 'owner' ? 'the' : 'an'} ${currentProject.role}`
+              : 'Manage and organize your tasks'}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+            {[
+              { value: 'list', label: 'List', icon: List },
+              { value: 'board', label: 'Board', icon: Kanban },
+            ].map(({ value, label, icon: Icon }) => (
+              <button
+                key={value}
+                onClick={() => changeView(value)}
+                className={`flex items-center px-3 py-2 text-sm font-medium transition-colors ${
+                  view === value
+                    ? 'bg-primary-600 text-white'
+                    : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <Icon className="w-4 h-4 mr-1" />
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="relative">
+            <button
+              onClick={() => setIsExportMenuOpen((open) => !open)}
+              className="btn-secondary"
+              title="Export the tasks matching the current filters"
+            >
+              <Download className="w-4 h-4 inline mr-2" />
+              Export
+            </button>
+            {isExportMenuOpen && (
+              <div className="absolute right-0 mt-2 w-32 bg-white rounded-lg shadow-lg border z-20">
+                {['csv', 'json'].map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(format)}
+                    className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 uppercase"
+                  >
+                    {format}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          {canEdit && (
+            <button onClick={() => setIsImportOpen(true)} className="btn-secondary">
+              <Upload className="w-4 h-4 inline mr-2" />
+              Import
+            </button>
+          )}
+          {canEdit && (
+            <button onClick={handleCreateTask} className="btn-primary">
+              <Plus className="w-4 h-4 inline mr-2" />
+              New Task
+            </button>
+          )}
         </div>
-        <button onClick={handleCreateTask} className="btn-primary">
-          <Plus className="w-4 h-4 inline mr-2" />
-          New Task
-        </button>
       </div>
 
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
@@ -142,8 +459,46 @@ export default function DashboardPage() {
         </div>
       </div>
 
+      {currentProject && stats.byAssignee?.length > 0 && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Workload</h2>
+          <div className="space-y-3">
+            {stats.byAssignee.map((entry) => (
+              <div key={entry.assignee?._id || 'unassigned'}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="font-medium text-gray-700">
+                    {entry.assignee
+                      ? entry.assignee.fullName || entry.assignee.username
+                      : 'Unassigned'}
+                  </span>
+                  <span className="text-gray-500">
+                    {entry.pending} pending · {entry['in-progress']} in progress ·{' '}
+                    {entry.completed} done
+                  </span>
+                </div>
+                <div className="flex h-2 rounded-full overflow-hidden bg-gray-100">
+                  {['completed', 'in-progress', 'pending'].map((status) => (
+                    <div
+                      key={status}
+                      className={
+                        status === 'completed'
+                          ? 'bg-green-500'
+                          : status === 'in-progress'
+                          ? 'bg-blue-500'
+                          : 'bg-yellow-400'
+                      }
+                      style={{ width: `${(entry[status] / stats.total) * 100}%` }}
+                    />
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="card">
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className={`grid grid-cols-1 gap-4 ${view === 'board' ? 'md:grid-cols-3' : 'md:grid-cols-4'}`}>
           <div className="relative">
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
             <input
@@ -155,19 +510,21 @@ export default function DashboardPage() {
             />
           </div>
 
-          <div className="relative">
-            <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
-            <select
-              value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
-              className="input pl-10"
-            >
-              <option value="">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="in-progress">In Progress</option>
-              <option value="completed">Completed</option>
-            </select>
-          </div>
+          {view !== 'board' && (
+            <div className="relative">
+              <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="input pl-10"
+              >
+                <option value="">All Status</option>
+                <option value="pending">Pending</option>
+                <option value="in-progress">In Progress</option>
+                <option value="completed">Completed</option>
+              </select>
+            </div>
+          )}
 
           <div className="relative">
             <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
@@ -182,10 +539,56 @@ export default function DashboardPage() {
               <option value="high">High</option>
             </select>
           </div>
+
+          <div className="relative">
+            <UserCircle className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+            <select
+              value={assigneeFilter}
+              onChange={(e) => setAssigneeFilter(e.target.value)}
+              className="input pl-10"
+            >
+              <option value="">Anyone</option>
+              <option value="me">Assigned to me</option>
+              <option value="unassigned">Unassigned</option>
+            </select>
+          </div>
         </div>
+
+        {tags.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mt-4">
+            <span className="text-sm text-gray-500 mr-1">Tags:</span>
+            {tags.map((tag) => (
+              <TagChip
+                key={tag._id}
+                tag={tag}
+                selected={tagFilter.includes(tag._id)}
+                onClick={() => toggleTagFilter(tag._id)}
+              />
+            ))}
+            {tagFilter.length > 1 && (
+              <select
+                value={tagMatch}
+                onChange={(e) => setTagMatch(e.target.value)}
+                className="input py-1 text-sm w-auto ml-2"
+              >
+                <option value="any">Match any</option>
+                <option value="all">Match all</option>
+              </select>
+            )}
+          </div>
+        )}
       </div>
 
-      {loading ? (
+      {view === 'board' ? (
+        <TaskBoard
+          query={filterParams().toString()}
+          reloadKey={boardVersion}
+          canEdit={canEdit}
+          onEdit={handleEditTask}
+          onDelete={handleDeleteTask}
+          onChange={fetchStats}
+        />
+      ) : loading ? (
         <div className="flex justify-center py-12">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
         </div>
@@ -194,11 +597,11 @@ export default function DashboardPage() {
           <CheckCircle2 className="w-16 h-16 text-gray-300 mx-auto mb-4" />
           <h3 className="text-lg font-semibold text-gray-900 mb-2">No tasks found</h3>
           <p className="text-gray-600 mb-4">
-            {searchQuery || statusFilter || priorityFilter
+            {searchQuery || statusFilter || priorityFilter || assigneeFilter || tagFilter.length
               ? 'Try adjusting your filters'
               : 'Create your first task to get started'}
           </p>
-          {!searchQuery && !statusFilter && !priorityFilter && (
+          {!searchQuery && !statusFilter && !priorityFilter && !assigneeFilter && !tagFilter.length && canEdit && (
             <button onClick={handleCreateTask} className="btn-primary">
               <Plus className="w-4 h-4 inline mr-2" />
               Create Task
@@ -207,11 +610,35 @@ export default function DashboardPage() {
         </div>
       ) : (
         <div className="grid gap-4">
+          {canEdit && selectedIds.length > 0 && (
+            <BulkActionBar
+              selectedCount={selectedIds.length}
+              totalCount={tasks.length}
+              onSelectAll={() => setSelectedIds(tasks.map((task) => task._id))}
+              onClear={() => setSelectedIds([])}
+              onApply={handleBulkAction}
+            />
+          )}
+
           {tasks.map((task) => (
-            <div key={task._id} className="card hover:shadow-lg transition-shadow">
+            <div
+              key={task._id}
+              className={`card hover:shadow-lg transition-shadow ${
+                selectedIds.includes(task._id) ? 'ring-2 ring-primary-400' : ''
+              }`}
+            >
               <div className="flex items-start justify-between">
                 <div className="flex-1">
                   <div className="flex items-center gap-3 mb-2">
+                    {canEdit && (
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(task._id)}
+                        onChange={() => toggleSelected(task._id)}
+                        className="w-4 h-4 text-primary-600 rounded"
+                        aria-label={`Select ${task.title}`}
+                      />
+                    )}
                     {getStatusIcon(task.status)}
                     <h3 className="text-lg font-semibold text-gray-900">{task.title}</h3>
                   </div>
@@ -225,42 +652,101 @@ export default function DashboardPage() {
                       {task.status.replace('-', ' ')}
                     </span>
                     <span className={`badge-${task.priority}`}>{task.priority}</span>
+                    {task.isBlocked && (
+                      <span
+                        className="badge bg-red-100 text-red-800 flex items-center"
+                        title={describeBlockers(task)}
+                      >
+                        <Lock className="w-3 h-3 mr-1" />
+                        blocked
+                      </span>
+                    )}
                     {task.dueDate && (
                       <span className="flex items-center text-sm text-gray-500">
                         <Calendar className="w-4 h-4 mr-1" />
                         {formatDate(task.dueDate)}
                       </span>
                     )}
+                    {task.tags?.map((tag) => (
+                      <TagChip key={tag._id} tag={tag} />
+                    ))}
+                    {task.recurrence && (
+                      <span className="badge bg-indigo-100 text-indigo-800 flex items-center">
+                        <Repeat className="w-3 h-3 mr-1" />
+                        {describeRecurrence(task.recurrence)}
+                      </span>
+                    )}
+                    {task.assignee && (
+                      <span className="flex items-center text-sm text-gray-500">
+                        <UserCircle className="w-4 h-4 mr-1" />
+                        {task.assignee.fullName || task.assignee.username}
+                      </span>
+                    )}
+                    {task.checklist?.length > 0 && (
+                      <span className="flex items-center text-sm text-gray-500">
+                        <ListChecks className="w-4 h-4 mr-1" />
+                        {task.checklist.filter((item) => item.completed).length}/
+                        {task.checklist.length} ({task.progress}%)
+                      </span>
+                    )}
                   </div>
                 </div>
                 
-                <div className="flex gap-2 ml-4">
+                {canEdit ? (
+                  <div className="flex gap-2 ml-4">
+                    <button
+                      onClick={() => handleEditTask(task)}
+                      className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                    >
+                      <Edit2 className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteTask(task._id)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ) : (
                   <button
                     onClick={() => handleEditTask(task)}
-                    className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                    className="p-2 ml-4 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                    aria-label={`View ${task.title}`}
                   >
-                    <Edit2 className="w-4 h-4" />
+                    <Eye className="w-4 h-4" />
                   </button>
-                  <button
-                    onClick={() => handleDeleteTask(task._id)}
-                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                  >
-                    <Trash2 className="w-4 h-4" />
-                  </button>
-                </div>
+                )}
               </div>
             </div>
           ))}
+
+          {hasMore && (
+            <div ref={loadMoreRef} className="flex justify-center py-4">
+              {loadingMore && (
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+              )}
+            </div>
+          )}
         </div>
       )}
 
       {isModalOpen && (
         <TaskModal
           task={editingTask}
+          projectId={currentProjectId}
+          readOnly={!canEdit}
           onClose={() => setIsModalOpen(false)}
           onSave={handleTaskSaved}
         />
       )}
+
+      {isImportOpen && (
+        <ImportTasksModal
+          projectId={currentProjectId}
+          onClose={() => setIsImportOpen(false)}
+          onImported={handleImported}
+        />
+      )}
     </div>
   );
 }
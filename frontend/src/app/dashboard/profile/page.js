@@ -5,6 +5,13 @@ import { useAuth } from '@/context/AuthContext';
 import api from '@/lib/api';
 import { toast } from 'sonner';
 import { User, Mail, Edit2, Save, X } from 'lucide-react';
+import CalendarFeedSettings from '@/components/CalendarFeedSettings';
+import NotificationPreferences from '@/components/NotificationPreferences';
+import ChangePasswordForm from '@/components/ChangePasswordForm';
+import DeleteAccountSection from '@/components/DeleteAccountSection';
+import SessionsList from '@/components/SessionsList';
+import ApiKeysSettings from '@/components/ApiKeysSettings';
+import TwoFactorSettings from '@/components/TwoFactorSettings';
 
 export default function ProfilePage() {
   const { user, updateUser } = useAuth();
@@ -177,6 +184,20 @@ export default function ProfilePage() {
           )}
         </form>
       </div>
+
+      <CalendarFeedSettings />
+
+      <NotificationPreferences />
+
+      <ChangePasswordForm />
+
+      <TwoFactorSettings />
+
+      <SessionsList />
+
+      <ApiKeysSettings />
+
+      <DeleteAccountSection />
     </div>
   );
 }
@@ -0,0 +1,310 @@
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useProjects } from '@/context/ProjectContext';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { FolderKanban, Plus, Trash2, UserPlus, LogOut, Users } from 'lucide-react';
+
+export default function ProjectsPage() {
+  const { user } = useAuth();
+  const { projects, loading, fetchProjects, selectProject, currentProjectId } = useProjects();
+  const [formData, setFormData] = useState({ name: '', description: '' });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [invites, setInvites] = useState({});
+  const currentUserId = user?.id || user?._id;
+
+  const validate = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Project name is required';
+    } else if (formData.name.length > 100) {
+      newErrors.name = 'Project name cannot exceed 100 characters';
+    }
+
+    if (formData.description && formData.description.length > 500) {
+      newErrors.description = 'Description cannot exceed 500 characters';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!validate()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await api.post('/api/projects', formData);
+      toast.success('Project created successfully');
+      setFormData({ name: '', description: '' });
+      fetchProjects();
+    } catch (error) {
+      console.error('Error creating project:', error);
+      toast.error(error.response?.data?.message || 'Failed to create project');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (project) => {
+    if (!confirm(`Delete "${project.name}" and all of its tasks?`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/api/projects/${project._id}`);
+      toast.success('Project deleted successfully');
+      if (currentProjectId === project._id) selectProject(null);
+      fetchProjects();
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete project');
+    }
+  };
+
+  const handleInviteChange = (projectId, field, value) => {
+    setInvites((prev) => ({
+      ...prev,
+      [projectId]: { role: 'viewer', usernameOrEmail: '', ...prev[projectId], [field]: value },
+    }));
+  };
+
+  const handleInvite = async (e, projectId) => {
+    e.preventDefault();
+    const invite = invites[projectId];
+
+    if (!invite?.usernameOrEmail?.trim()) {
+      toast.error('Username or email is required');
+      return;
+    }
+
+    try {
+      await api.post(`/api/projects/${projectId}/members`, invite);
+      toast.success('Member added successfully');
+      setInvites((prev) => ({ ...prev, [projectId]: undefined }));
+      fetchProjects();
+    } catch (error) {
+      console.error('Error adding member:', error);
+      toast.error(error.response?.data?.message || 'Failed to add member');
+    }
+  };
+
+  const handleRoleChange = async (projectId, memberId, role) => {
+    try {
+      await api.put(`/api/projects/${projectId}/members/${memberId}`, { role });
+      toast.success('Member updated successfully');
+      fetchProjects();
+    } catch (error) {
+      console.error('Error updating member:', error);
+      toast.error(error.response?.data?.message || 'Failed to update member');
+    }
+  };
+
+  const handleRemoveMember = async (project, memberId) => {
+    const isSelf = memberId === currentUserId;
+    const prompt = isSelf
+      ? `Leave "${project.name}"?`
+      : 'Remove this member from the project?';
+
+    if (!confirm(prompt)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/api/projects/${project._id}/members/${memberId}`);
+      toast.success(isSelf ? 'You left the project' : 'Member removed successfully');
+      if (isSelf && currentProjectId === project._id) selectProject(null);
+      fetchProjects();
+    } catch (error) {
+      console.error('Error removing member:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove member');
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Projects</h1>
+        <p className="text-gray-600 mt-1">Share tasks with your teammates</p>
+      </div>
+
+      <div className="card">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">New Project</h2>
+        <form onSubmit={handleCreate} className="space-y-4">
+          <div>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              className={`input ${errors.name ? 'border-red-500' : ''}`}
+              placeholder="Project name"
+            />
+            {errors.name && <p className="mt-1 text-sm text-red-600">{errors.name}</p>}
+          </div>
+          <div>
+            <textarea
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              rows={2}
+              className={`input ${errors.description ? 'border-red-500' : ''}`}
+              placeholder="Description (optional)"
+            />
+            {errors.description && (
+              <p className="mt-1 text-sm text-red-600">{errors.description}</p>
+            )}
+          </div>
+          <button type="submit" disabled={isSubmitting} className="btn-primary">
+            <Plus className="w-4 h-4 inline mr-2" />
+            {isSubmitting ? 'Creating...' : 'Create Project'}
+          </button>
+        </form>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : projects.length === 0 ? (
+        <div className="card text-center py-12">
+          <FolderKanban className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">No projects yet</h3>
+          <p className="text-gray-600">Create a project to start sharing tasks</p>
+        </div>
+      ) : (
+        projects.map((project) => {
+          const isOwner = project.role === 'owner';
+          const invite = invites[project._id] || { usernameOrEmail: '', role: 'viewer' };
+
+          return (
+            <div key={project._id} className="card space-y-4">
+              <div className="flex items-start justify-between">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">{project.name}</h3>
+                  {project.description && (
+                    <p className="text-gray-600 mt-1">{project.description}</p>
+                  )}
+                  <span className="badge bg-primary-100 text-primary-800 mt-2 inline-block">
+                    {project.role}
+                  </span>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => selectProject(project._id)}
+                    className="btn-secondary text-sm"
+                  >
+                    Open
+                  </button>
+                  {isOwner ? (
+                    <button
+                      onClick={() => handleDelete(project)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => handleRemoveMember(project, currentUserId)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      title="Leave project"
+                    >
+                      <LogOut className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="pt-4 border-t">
+                <h4 className="flex items-center text-sm font-medium text-gray-700 mb-3">
+                  <Users className="w-4 h-4 mr-2" />
+                  Members
+                </h4>
+                <ul className="space-y-2">
+                  {project.members.filter((member) => member.user).map((member) => (
+                    <li key={member.user._id} className="flex items-center justify-between">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {member.user.fullName || member.user.username}
+                        </p>
+                        <p className="text-xs text-gray-500">{member.user.email}</p>
+                      </div>
+                      {isOwner && member.role !== 'owner' ? (
+                        <div className="flex items-center gap-2">
+                          <select
+                            value={member.role}
+                            onChange={(e) =>
+                              handleRoleChange(project._id, member.user._id, e.target.value)
+                            }
+                            className="input py-1 text-sm w-28"
+                          >
+                            <option value="editor">Editor</option>
+                            <option value="viewer">Viewer</option>
+                          </select>
+                          <button
+                            onClick={() => handleRemoveMember(project, member.user._id)}
+                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ) : (
+                        <span className="text-sm text-gray-500 capitalize">{member.role}</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+
+                {isOwner && (
+                  <form
+                    onSubmit={(e) => handleInvite(e, project._id)}
+                    className="flex flex-col sm:flex-row gap-2 mt-4"
+                  >
+                    <input
+                      type="text"
+                      value={invite.usernameOrEmail}
+                      onChange={(e) =>
+                        handleInviteChange(project._id, 'usernameOrEmail', e.target.value)
+                      }
+                      className="input"
+                      placeholder="Username or email"
+                    />
+                    <select
+                      value={invite.role}
+                      onChange={(e) => handleInviteChange(project._id, 'role', e.target.value)}
+                      className="input sm:w-32"
+                    >
+                      <option value="editor">Editor</option>
+                      <option value="viewer">Viewer</option>
+                    </select>
+                    <button type="submit" className="btn-primary whitespace-nowrap">
+                      <UserPlus className="w-4 h-4 inline mr-2" />
+                      Invite
+                    </button>
+                  </form>
+                )}
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
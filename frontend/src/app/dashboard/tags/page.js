@@ -0,0 +1,220 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { Tag, Plus, Trash2, Save } from 'lucide-react';
+import TagChip from '@/components/TagChip';
+import { TAG_COLORS } from '@/components/TagPicker';
+
+function ColorSwatches({ value, onSelect }) {
+  return (
+    <div className="flex items-center gap-1">
+      {TAG_COLORS.map((color) => (
+        <button
+          key={color}
+          type="button"
+          onClick={() => onSelect(color)}
+          className={`w-6 h-6 rounded-full ${value === color ? 'ring-2 ring-offset-1 ring-gray-400' : ''}`}
+          style={{ backgroundColor: color }}
+          aria-label={`Color ${color}`}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default function TagsPage() {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState({ name: '', color: TAG_COLORS[0] });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [edits, setEdits] = useState({});
+
+  useEffect(() => {
+    fetchTags();
+  }, []);
+
+  const fetchTags = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/api/tags');
+      setTags(response.data.data.tags);
+      setEdits({});
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      toast.error('Failed to fetch tags');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const validate = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Tag name is required';
+    } else if (formData.name.length > 30) {
+      newErrors.name = 'Tag name cannot exceed 30 characters';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!validate()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await api.post('/api/tags', formData);
+      toast.success('Tag created successfully');
+      setFormData({ name: '', color: TAG_COLORS[0] });
+      fetchTags();
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      toast.error(error.response?.data?.message || 'Failed to create tag');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleEditChange = (tag, field, value) => {
+    setEdits((prev) => ({
+      ...prev,
+      [tag._id]: { name: tag.name, color: tag.color, ...prev[tag._id], [field]: value },
+    }));
+  };
+
+  const handleSave = async (tagId) => {
+    const edit = edits[tagId];
+
+    if (!edit.name.trim()) {
+      toast.error('Tag name is required');
+      return;
+    }
+
+    try {
+      await api.put(`/api/tags/${tagId}`, edit);
+      toast.success('Tag updated successfully');
+      fetchTags();
+    } catch (error) {
+      console.error('Error updating tag:', error);
+      toast.error(error.response?.data?.message || 'Failed to update tag');
+    }
+  };
+
+  const handleDelete = async (tag) => {
+    if (!confirm(`Delete "${tag.name}"? It will be removed from all of your tasks.`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/api/tags/${tag._id}`);
+      toast.success('Tag deleted successfully');
+      fetchTags();
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete tag');
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Tags</h1>
+        <p className="text-gray-600 mt-1">Organize your tasks with your own labels</p>
+      </div>
+
+      <div className="card">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">New Tag</h2>
+        <form onSubmit={handleCreate} className="space-y-4">
+          <div className="flex flex-col sm:flex-row gap-4 sm:items-center">
+            <div className="flex-1">
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => {
+                  setFormData((prev) => ({ ...prev, name: e.target.value }));
+                  if (errors.name) setErrors({});
+                }}
+                className={`input ${errors.name ? 'border-red-500' : ''}`}
+                placeholder="Tag name"
+              />
+            </div>
+            <ColorSwatches
+              value={formData.color}
+              onSelect={(color) => setFormData((prev) => ({ ...prev, color }))}
+            />
+          </div>
+          {errors.name && <p className="text-sm text-red-600">{errors.name}</p>}
+          <button type="submit" disabled={isSubmitting} className="btn-primary">
+            <Plus className="w-4 h-4 inline mr-2" />
+            {isSubmitting ? 'Creating...' : 'Create Tag'}
+          </button>
+        </form>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : tags.length === 0 ? (
+        <div className="card text-center py-12">
+          <Tag className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">No tags yet</h3>
+          <p className="text-gray-600">Create a tag to start labeling your tasks</p>
+        </div>
+      ) : (
+        <div className="card divide-y divide-gray-100">
+          {tags.map((tag) => {
+            const edit = edits[tag._id] || { name: tag.name, color: tag.color };
+            const isDirty = edit.name !== tag.name || edit.color !== tag.color;
+
+            return (
+              <div key={tag._id} className="flex flex-col sm:flex-row sm:items-center gap-3 py-3">
+                <div className="w-28">
+                  <TagChip tag={edit} />
+                </div>
+                <input
+                  type="text"
+                  value={edit.name}
+                  onChange={(e) => handleEditChange(tag, 'name', e.target.value)}
+                  className="input flex-1"
+                  maxLength={30}
+                />
+                <ColorSwatches
+                  value={edit.color}
+                  onSelect={(color) => handleEditChange(tag, 'color', color)}
+                />
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleSave(tag._id)}
+                    disabled={!isDirty}
+                    className="p-2 text-gray-600 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors disabled:opacity-40"
+                    aria-label="Save tag"
+                  >
+                    <Save className="w-5 h-5" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(tag)}
+                    className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                    aria-label="Delete tag"
+                  >
+                    <Trash2 className="w-5 h-5" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { Trash2, RotateCcw, Clock } from 'lucide-react';
+import { useProjects } from '@/context/ProjectContext';
+
+export default function TrashPage() {
+  const { currentProject, currentProjectId, canEdit } = useProjects();
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [currentProjectId]);
+
+  const projectParams = () => {
+    const params = new URLSearchParams();
+    if (currentProjectId) params.append('project', currentProjectId);
+    return params.toString();
+  };
+
+  const fetchTrash = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/api/tasks/trash?${projectParams()}`);
+      setTasks(response.data.data.tasks);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      toast.error('Failed to fetch trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (taskId) => {
+    try {
+      await api.post(`/api/tasks/${taskId}/restore`);
+      toast.success('Task restored');
+      fetchTrash();
+    } catch (error) {
+      console.error('Error restoring task:', error);
+      toast.error(error.response?.data?.message || 'Failed to restore task');
+    }
+  };
+
+  const handlePurge = async (taskId) => {
+    if (!confirm('Permanently delete this task? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await api.delete(`/api/tasks/${taskId}/purge`);
+      toast.success('Task permanently deleted');
+      fetchTrash();
+    } catch (error) {
+      console.error('Error deleting task:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete task');
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!confirm('Permanently delete every task in the trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await api.delete(`/api/tasks/trash?${projectParams()}`);
+      toast.success('Trash emptied');
+      fetchTrash();
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      toast.error(error.response?.data?.message || 'Failed to empty trash');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Trash</h1>
+          <p className="text-gray-600 mt-1">
+            {currentProject
+              ? `Deleted tasks from ${currentProject.name}`
+              : 'Deleted personal tasks'}{' '}
+            are removed permanently after the retention period
+          </p>
+        </div>
+        {canEdit && tasks.length > 0 && (
+          <button onClick={handleEmptyTrash} className="btn-danger">
+            <Trash2 className="w-4 h-4 inline mr-2" />
+            Empty Trash
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : tasks.length === 0 ? (
+        <div className="card text-center py-12">
+          <Trash2 className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">Trash is empty</h3>
+          <p className="text-gray-600">Deleted tasks show up here</p>
+        </div>
+      ) : (
+        <div className="grid gap-4">
+          {tasks.map((task) => (
+            <div key={task._id} className="card">
+              <div className="flex items-start justify-between">
+                <div className="flex-1">
+                  <h3 className="text-lg font-semibold text-gray-700">{task.title}</h3>
+                  {task.description && <p className="text-gray-500 mt-1">{task.description}</p>}
+                  <div className="flex flex-wrap items-center gap-3 mt-3 text-sm text-gray-500">
+                    <span>
+                      Deleted {formatDate(task.deletedAt)}
+                      {task.deletedBy && ` by ${task.deletedBy.fullName || task.deletedBy.username}`}
+                    </span>
+                    <span className="flex items-center">
+                      <Clock className="w-4 h-4 mr-1" />
+                      Purged on {formatDate(task.purgeAt)}
+                    </span>
+                  </div>
+                </div>
+
+                {canEdit && (
+                  <div className="flex gap-2 ml-4">
+                    <button
+                      onClick={() => handleRestore(task._id)}
+                      className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                      title="Restore"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handlePurge(task._id)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      title="Delete forever"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { KeyRound, Mail, MailCheck } from 'lucide-react';
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      setError('Email is required');
+      return;
+    }
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      await api.post('/api/auth/forgot-password', { email });
+      setIsSent(true);
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      toast.error(error.response?.data?.message || 'Failed to request password reset');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-primary-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-primary-600 rounded-full mb-4">
+            <KeyRound className="w-10 h-10 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Forgot Password</h1>
+          <p className="text-gray-600">We&apos;ll email you a link to choose a new one</p>
+        </div>
+
+        <div className="card">
+          {isSent ? (
+            <div className="text-center py-4">
+              <MailCheck className="w-16 h-16 text-green-600 mx-auto mb-4" />
+              <h2 className="text-xl font-semibold text-gray-900 mb-2">Check your inbox</h2>
+              <p className="text-gray-600">
+                If an account exists for <span className="font-medium">{email}</span>, a reset
+                link is on its way. The link can only be used once.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+                  Email
+                </label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                  <input
+                    type="email"
+                    id="email"
+                    name="email"
+                    value={email}
+                    onChange={(e) => {
+                      setEmail(e.target.value);
+                      setError('');
+                    }}
+                    className={`input pl-10 ${error ? 'border-red-500' : ''}`}
+                    placeholder="john@example.com"
+                  />
+                </div>
+                {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+              </div>
+
+              <button type="submit" disabled={isLoading} className="btn-primary w-full">
+                {isLoading ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link href="/login" className="text-primary-600 hover:text-primary-700 font-medium">
+              Back to Sign In
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
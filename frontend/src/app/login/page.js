@@ -5,6 +5,8 @@ import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { useAuth } from '@/context/AuthContext';
 import { CheckCircle, Mail, Lock } from 'lucide-react';
+import TwoFactorLoginForm from '@/components/TwoFactorLoginForm';
+import RetryCountdown from '@/components/RetryCountdown';
 
 export default function LoginPage() {
   const [formData, setFormData] = useState({
@@ -13,6 +15,8 @@ export default function LoginPage() {
   });
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [lockedUntil, setLockedUntil] = useState(null);
   const { login } = useAuth();
 
   const validate = () => {
@@ -46,7 +50,13 @@ export default function LoginPage() {
     }
 
     setIsLoading(true);
-    await login(formData);
+    const result = await login(formData);
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    }
+    if (result.retryAfter) {
+      setLockedUntil(Date.now() + result.retryAfter * 1000);
+    }
     setIsLoading(false);
   };
 
@@ -57,61 +67,93 @@ export default function LoginPage() {
           <div className="inline-flex items-center justify-center w-16 h-16 bg-primary-600 rounded-full mb-4">
             <CheckCircle className="w-10 h-10 text-white" />
           </div>
-          <h1 className="text-3xl font-bold text-gray-900 mb-2">Welcome Back</h1>
-          <p className="text-gray-600">Sign in to your TaskApp account</p>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            {challengeToken ? 'Two-Factor Authentication' : 'Welcome Back'}
+          </h1>
+          <p className="text-gray-600">
+            {challengeToken
+              ? 'Confirm it\'s you to finish signing in'
+              : 'Sign in to your TaskApp account'}
+          </p>
         </div>
 
         <div className="card">
-          <form onSubmit={handleSubmit} className="space-y-5">
-            <div>
-              <label
-                htmlFor="emailOrUsername"
-                className="block text-sm font-medium text-gray-700 mb-2"
-              >
-                Email or Username
-              </label>
-              <div className="relative">
-                <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
-                <input
-                  type="text"
-                  id="emailOrUsername"
-                  name="emailOrUsername"
-                  value={formData.emailOrUsername}
-                  onChange={handleChange}
-                  className={`input pl-10 ${errors.emailOrUsername ? 'border-red-500' : ''}`}
-                  placeholder="john@example.com or johndoe"
-                />
-              </div>
-              {errors.emailOrUsername && (
-                <p className="mt-1 text-sm text-red-600">{errors.emailOrUsername}</p>
+          {challengeToken ? (
+            <TwoFactorLoginForm
+              challengeToken={challengeToken}
+              onCancel={() => {
+                setChallengeToken(null);
+                setFormData((prev) => ({ ...prev, password: '' }));
+              }}
+            />
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-5">
+              {lockedUntil && (
+                <RetryCountdown until={lockedUntil} onDone={() => setLockedUntil(null)} />
               )}
-            </div>
-
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-                Password
-              </label>
-              <div className="relative">
-                <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
-                <input
-                  type="password"
-                  id="password"
-                  name="password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  className={`input pl-10 ${errors.password ? 'border-red-500' : ''}`}
-                  placeholder="••••••••"
-                />
+
+              <div>
+                <label
+                  htmlFor="emailOrUsername"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  Email or Username
+                </label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                  <input
+                    type="text"
+                    id="emailOrUsername"
+                    name="emailOrUsername"
+                    value={formData.emailOrUsername}
+                    onChange={handleChange}
+                    className={`input pl-10 ${errors.emailOrUsername ? 'border-red-500' : ''}`}
+                    placeholder="john@example.com or johndoe"
+                  />
+                </div>
+                {errors.emailOrUsername && (
+                  <p className="mt-1 text-sm text-red-600">{errors.emailOrUsername}</p>
+                )}
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                    Password
+                  </label>
+                  <Link
+                    href="/forgot-password"
+                    className="text-sm text-primary-600 hover:text-primary-700"
+                  >
+                    Forgot password?
+                  </Link>
+                </div>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                  <input
+                    type="password"
+                    id="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className={`input pl-10 ${errors.password ? 'border-red-500' : ''}`}
+                    placeholder="••••••••"
+                  />
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">{errors.password}</p>
+                )}
               </div>
-              {errors.password && (
-                <p className="mt-1 text-sm text-red-600">{errors.password}</p>
-              )}
-            </div>
 
-            <button type="submit" disabled={isLoading} className="btn-primary w-full">
-              {isLoading ? 'Signing In...' : 'Sign In'}
-            </button>
-          </form>
+              <button
+                type="submit"
+                disabled={isLoading || !!lockedUntil}
+                className="btn-primary w-full"
+              >
+                {isLoading ? 'Signing In...' : 'Sign In'}
+              </button>
+            </form>
+          )}
 
           <div className="mt-6 text-center">
             <p className="text-gray-600">
@@ -0,0 +1,144 @@
+'use client';
+
+import { useState, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { KeyRound, Lock, XCircle } from 'lucide-react';
+
+function ResetPasswordForm() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+
+  const validate = () => {
+    const newErrors = {};
+
+    if (!formData.password) {
+      newErrors.password = 'Password is required';
+    } else if (formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters';
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validate()) {
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await api.post('/api/auth/reset-password', {
+        token,
+        password: formData.password,
+      });
+      const { revokedApiKeys } = response.data.data;
+      toast.success(
+        revokedApiKeys > 0
+          ? `${response.data.message}. ${revokedApiKeys} API key${revokedApiKeys === 1 ? ' was' : 's were'} revoked`
+          : response.data.message
+      );
+      router.push('/login');
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      toast.error(error.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="card text-center py-10">
+        <XCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Invalid reset link</h2>
+        <p className="text-gray-600 mb-6">This password reset link is incomplete.</p>
+        <Link href="/forgot-password" className="btn-primary">
+          Request a New Link
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <form onSubmit={handleSubmit} className="space-y-5">
+        {[
+          { name: 'password', label: 'New Password' },
+          { name: 'confirmPassword', label: 'Confirm New Password' },
+        ].map(({ name, label }) => (
+          <div key={name}>
+            <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-2">
+              {label}
+            </label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                type="password"
+                id={name}
+                name={name}
+                value={formData[name]}
+                onChange={handleChange}
+                className={`input pl-10 ${errors[name] ? 'border-red-500' : ''}`}
+                placeholder="••••••••"
+              />
+            </div>
+            {errors[name] && <p className="mt-1 text-sm text-red-600">{errors[name]}</p>}
+          </div>
+        ))}
+
+        <button type="submit" disabled={isLoading} className="btn-primary w-full">
+          {isLoading ? 'Resetting...' : 'Reset Password'}
+        </button>
+      </form>
+
+      <p className="mt-6 text-center text-sm text-gray-600">
+        Resetting your password signs you out of every device.
+      </p>
+    </div>
+  );
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-primary-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-primary-600 rounded-full mb-4">
+            <KeyRound className="w-10 h-10 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Reset Password</h1>
+          <p className="text-gray-600">Choose a new password for your account</p>
+        </div>
+        <Suspense fallback={null}>
+          <ResetPasswordForm />
+        </Suspense>
+      </div>
+    </div>
+  );
+}
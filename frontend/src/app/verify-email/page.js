@@ -0,0 +1,93 @@
+'use client';
+
+import { useState, useEffect, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import api from '@/lib/api';
+import { useAuth } from '@/context/AuthContext';
+import { MailCheck, XCircle } from 'lucide-react';
+
+function VerifyEmail() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, updateUser, isAuthenticated } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const verify = async () => {
+      if (!token) {
+        setStatus('error');
+        setMessage('This verification link is incomplete.');
+        return;
+      }
+
+      try {
+        await api.post('/api/auth/verify-email', { token });
+        setStatus('success');
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to verify email');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  // Keep the signed-in user in sync once the link has been accepted
+  useEffect(() => {
+    if (status === 'success' && user && user.emailVerified === false) {
+      updateUser({ ...user, emailVerified: true });
+    }
+  }, [status, user, updateUser]);
+
+  return (
+    <div className="card text-center py-10">
+      {status === 'verifying' && (
+        <>
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Verifying your email...</p>
+        </>
+      )}
+
+      {status === 'success' && (
+        <>
+          <MailCheck className="w-16 h-16 text-green-600 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Email verified</h2>
+          <p className="text-gray-600 mb-6">Your account is fully activated.</p>
+          <Link href={isAuthenticated ? '/dashboard' : '/login'} className="btn-primary">
+            {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+          </Link>
+        </>
+      )}
+
+      {status === 'error' && (
+        <>
+          <XCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Verification failed</h2>
+          <p className="text-gray-600 mb-6">
+            {message} You can request a new link from your dashboard.
+          </p>
+          <Link href={isAuthenticated ? '/dashboard' : '/login'} className="btn-primary">
+            {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+          </Link>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function VerifyEmailPage() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-primary-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Email Verification</h1>
+        </div>
+        <Suspense fallback={null}>
+          <VerifyEmail />
+        </Suspense>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,269 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { KeySquare, Copy, Plus, Trash2 } from 'lucide-react';
+
+const SCOPES = [
+  { value: 'tasks:read', label: 'Read tasks' },
+  { value: 'tasks:write', label: 'Create, edit and delete tasks' },
+  { value: 'projects:read', label: 'Read projects' },
+  { value: 'projects:write', label: 'Manage projects' },
+  { value: 'tags:read', label: 'Read tags' },
+  { value: 'tags:write', label: 'Manage tags' },
+];
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' },
+];
+
+const emptyForm = { name: '', scopes: ['tasks:read'], expiresInDays: '90' };
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+};
+
+export default function ApiKeysSettings() {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [isCreating, setIsCreating] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [newKey, setNewKey] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    const fetchApiKeys = async () => {
+      try {
+        const response = await api.get('/api/auth/api-keys');
+        setApiKeys(response.data.data.apiKeys);
+      } catch (error) {
+        console.error('Error fetching API keys:', error);
+      }
+    };
+
+    fetchApiKeys();
+  }, []);
+
+  const toggleScope = (scope) => {
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((item) => item !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+
+    try {
+      const response = await api.post('/api/auth/api-keys', {
+        name: form.name,
+        scopes: form.scopes,
+        expiresInDays: form.expiresInDays ? Number(form.expiresInDays) : null,
+      });
+      const { apiKey, key } = response.data.data;
+      setApiKeys((prev) => [apiKey, ...prev]);
+      setNewKey(key);
+      setForm(emptyForm);
+      setIsCreating(false);
+      toast.success('API key created');
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      toast.error(error.response?.data?.message || 'Failed to create API key');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/api/auth/api-keys/${apiKey._id}`);
+      setApiKeys((prev) => prev.filter((item) => item._id !== apiKey._id));
+      toast.success('API key revoked');
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke API key');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey);
+      toast.success('API key copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy API key');
+    }
+  };
+
+  const isExpired = (apiKey) => apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date();
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center">
+          <KeySquare className="w-5 h-5 text-primary-600 mr-2" />
+          <h2 className="text-xl font-semibold text-gray-900">API Keys</h2>
+        </div>
+        {!isCreating && (
+          <button onClick={() => setIsCreating(true)} className="btn-primary">
+            <Plus className="w-4 h-4 inline mr-2" />
+            New Key
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Personal keys let scripts and integrations call the API as you. Send them as{' '}
+        <code className="font-mono">Authorization: Bearer &lt;key&gt;</code>. Each key can only do
+        what its scopes allow.
+      </p>
+
+      {newKey && (
+        <div className="mb-4">
+          <div className="flex gap-2">
+            <input type="text" readOnly value={newKey} className="input font-mono text-sm" />
+            <button onClick={handleCopy} className="btn-secondary" aria-label="Copy API key">
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+          <p className="mt-1 text-sm text-yellow-700">
+            Copy this key now. For your security it will not be shown again.
+          </p>
+        </div>
+      )}
+
+      {isCreating && (
+        <form onSubmit={handleCreate} className="space-y-4 mb-6 p-4 bg-gray-50 rounded-lg">
+          <div>
+            <label htmlFor="apiKeyName" className="block text-sm font-medium text-gray-700 mb-2">
+              Name
+            </label>
+            <input
+              type="text"
+              id="apiKeyName"
+              value={form.name}
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+              maxLength={50}
+              className="input"
+              placeholder="e.g. Nightly report script"
+            />
+          </div>
+
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-2">Scopes</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {SCOPES.map(({ value, label }) => (
+                <label key={value} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.scopes.includes(value)}
+                    onChange={() => toggleScope(value)}
+                    className="w-4 h-4 text-primary-600 rounded mr-2"
+                  />
+                  <code className="font-mono mr-2">{value}</code>
+                  <span className="text-gray-500">{label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="apiKeyExpiry" className="block text-sm font-medium text-gray-700 mb-2">
+              Expires after
+            </label>
+            <select
+              id="apiKeyExpiry"
+              value={form.expiresInDays}
+              onChange={(e) => setForm((prev) => ({ ...prev, expiresInDays: e.target.value }))}
+              className="input"
+            >
+              {EXPIRY_OPTIONS.map(({ value, label }) => (
+                <option key={label} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={isWorking || !form.name.trim() || form.scopes.length === 0}
+              className="btn-primary"
+            >
+              {isWorking ? 'Creating...' : 'Create Key'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setForm(emptyForm);
+                setIsCreating(false);
+              }}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {apiKeys.length === 0 ? (
+        <p className="text-sm text-gray-500">You have no API keys.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {apiKeys.map((apiKey) => (
+            <li key={apiKey._id} className="py-3 flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 flex items-center gap-2">
+                  {apiKey.name}
+                  <code className="text-xs font-mono text-gray-500">{apiKey.prefix}…</code>
+                  {isExpired(apiKey) && (
+                    <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-red-100 text-red-800">
+                      Expired
+                    </span>
+                  )}
+                </p>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {apiKey.scopes.map((scope) => (
+                    <span
+                      key={scope}
+                      className="text-xs font-mono px-2 py-0.5 rounded bg-gray-100 text-gray-700"
+                    >
+                      {scope}
+                    </span>
+                  ))}
+                </div>
+                <p className="text-sm text-gray-500 mt-1">
+                  Created {formatDate(apiKey.createdAt)} ·{' '}
+                  {apiKey.lastUsedAt ? `Last used ${formatDate(apiKey.lastUsedAt)}` : 'Never used'} ·{' '}
+                  {apiKey.expiresAt
+                    ? `${isExpired(apiKey) ? 'Expired' : 'Expires'} ${formatDate(apiKey.expiresAt)}`
+                    : 'Never expires'}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(apiKey)}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors shrink-0"
+                aria-label={`Revoke ${apiKey.name}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { useAuth } from '@/context/AuthContext';
+import { UserCircle, X } from 'lucide-react';
+
+// Personal tasks can only be assigned to their owner, so the search only
+// hits the API for project tasks.
+export default function AssigneePicker({ projectId, value, onChange }) {
+  const { user } = useAuth();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const self = {
+      _id: user?.id || user?._id,
+      username: user?.username,
+      fullName: user?.fullName,
+    };
+
+    if (!projectId) {
+      const term = query.trim().toLowerCase();
+      setResults(!term || self.username?.toLowerCase().startsWith(term) ? [self] : []);
+      return;
+    }
+
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ q: query.trim(), project: projectId });
+        const response = await api.get(`/api/users/search?${params.toString()}`);
+        setResults(response.data.data.users);
+      } catch (error) {
+        console.error('Error searching users:', error);
+      }
+    }, 250);
+
+    return () => clearTimeout(timer);
+  }, [query, projectId, isOpen, user]);
+
+  const handleSelect = (selected) => {
+    onChange(selected);
+    setQuery('');
+    setIsOpen(false);
+  };
+
+  if (value) {
+    return (
+      <div className="input flex items-center justify-between">
+        <span className="flex items-center text-gray-900">
+          <UserCircle className="w-5 h-5 mr-2 text-gray-400" />
+          {value.fullName || value.username}
+          {value.fullName && <span className="ml-2 text-sm text-gray-500">@{value.username}</span>}
+        </span>
+        <button
+          type="button"
+          onClick={() => onChange(null)}
+          className="p-1 text-gray-400 hover:text-gray-700"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        id="assignee"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+        className="input"
+        placeholder={projectId ? 'Search by username' : 'Assign to yourself'}
+        autoComplete="off"
+      />
+      {isOpen && results.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border rounded-lg shadow-lg max-h-48 overflow-y-auto">
+          {results.map((result) => (
+            <li key={result._id}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => handleSelect(result)}
+                className="w-full text-left px-4 py-2 hover:bg-gray-100"
+              >
+                <span className="text-gray-900">{result.fullName || result.username}</span>
+                <span className="ml-2 text-sm text-gray-500">@{result.username}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+'use client';
+
+import { useState } from 'react';
+import { Trash2, X } from 'lucide-react';
+
+export default function BulkActionBar({ selectedCount, totalCount, onSelectAll, onClear, onApply }) {
+  const [dueDate, setDueDate] = useState('');
+  const [isApplying, setIsApplying] = useState(false);
+
+  const apply = async (action, updates) => {
+    setIsApplying(true);
+    await onApply(action, updates);
+    setIsApplying(false);
+  };
+
+  const handleSelect = (field) => (e) => {
+    const { value } = e.target;
+    if (value) {
+      apply('update', { [field]: value });
+    }
+  };
+
+  return (
+    <div className="sticky top-4 z-40 card py-3 border border-primary-200 bg-primary-50 flex flex-col lg:flex-row lg:items-center gap-3">
+      <div className="flex items-center gap-3">
+        <input
+          type="checkbox"
+          checked={selectedCount === totalCount}
+          onChange={(e) => (e.target.checked ? onSelectAll() : onClear())}
+          className="w-4 h-4 text-primary-600 rounded"
+          aria-label="Select all tasks"
+        />
+        <span className="text-sm font-medium text-primary-900 whitespace-nowrap">
+          {selectedCount} selected
+        </span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 lg:ml-auto">
+        <select
+          value=""
+          onChange={handleSelect('status')}
+          disabled={isApplying}
+          className="input py-1.5 text-sm w-auto"
+        >
+          <option value="">Set status…</option>
+          <option value="pending">Pending</option>
+          <option value="in-progress">In Progress</option>
+          <option value="completed">Completed</option>
+        </select>
+
+        <select
+          value=""
+          onChange={handleSelect('priority')}
+          disabled={isApplying}
+          className="input py-1.5 text-sm w-auto"
+        >
+          <option value="">Set priority…</option>
+          <option value="low">Low</option>
+          <option value="medium">Medium</option>
+          <option value="high">High</option>
+        </select>
+
+        <div className="flex items-center gap-1">
+          <input
+            type="date"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            disabled={isApplying}
+            className="input py-1.5 text-sm w-auto"
+            aria-label="Due date"
+          />
+          <button
+            onClick={() => apply('update', { dueDate: dueDate || null })}
+            disabled={isApplying}
+            className="btn-secondary py-1.5 text-sm whitespace-nowrap"
+          >
+            {dueDate ? 'Set due date' : 'Clear due date'}
+          </button>
+        </div>
+
+        <button
+          onClick={() => apply('delete')}
+          disabled={isApplying}
+          className="btn-danger py-1.5 text-sm"
+        >
+          <Trash2 className="w-4 h-4 inline mr-1" />
+          Delete
+        </button>
+
+        <button
+          onClick={onClear}
+          className="p-2 text-gray-500 hover:bg-white rounded-lg transition-colors"
+          aria-label="Clear selection"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { CalendarDays, Copy, RefreshCw, XCircle } from 'lucide-react';
+
+export default function CalendarFeedSettings() {
+  const [feed, setFeed] = useState({ enabled: false, createdAt: null });
+  const [url, setUrl] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    const fetchFeed = async () => {
+      try {
+        const response = await api.get('/api/calendar/token');
+        setFeed(response.data.data);
+      } catch (error) {
+        console.error('Error fetching calendar feed:', error);
+      }
+    };
+
+    fetchFeed();
+  }, []);
+
+  const handleGenerate = async () => {
+    if (feed.enabled && !confirm('Generate a new URL? Calendars using the current URL will stop updating.')) {
+      return;
+    }
+
+    setIsWorking(true);
+
+    try {
+      const response = await api.post('/api/calendar/token');
+      const { url: feedUrl, createdAt } = response.data.data;
+      setUrl(feedUrl);
+      setFeed({ enabled: true, createdAt });
+      toast.success('Calendar feed URL generated');
+    } catch (error) {
+      console.error('Error generating calendar feed:', error);
+      toast.error(error.response?.data?.message || 'Failed to generate calendar feed URL');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!confirm('Disable the calendar feed? Subscribed calendars will stop updating.')) {
+      return;
+    }
+
+    setIsWorking(true);
+
+    try {
+      await api.delete('/api/calendar/token');
+      setUrl('');
+      setFeed({ enabled: false, createdAt: null });
+      toast.success('Calendar feed disabled');
+    } catch (error) {
+      console.error('Error disabling calendar feed:', error);
+      toast.error(error.response?.data?.message || 'Failed to disable calendar feed');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('URL copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy URL');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-2">
+        <CalendarDays className="w-5 h-5 text-primary-600 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-900">Calendar Feed</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Subscribe to your tasks with due dates from any calendar app that supports iCalendar
+        (.ics) URLs. Includes your personal tasks and project tasks assigned to you. Anyone with
+        the URL can read the feed, so keep it private.
+      </p>
+
+      {url && (
+        <div className="mb-4">
+          <div className="flex gap-2">
+            <input type="text" readOnly value={url} className="input font-mono text-sm" />
+            <button onClick={handleCopy} className="btn-secondary" aria-label="Copy URL">
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+          <p className="mt-1 text-sm text-yellow-700">
+            Copy this URL now. For your security it will not be shown again.
+          </p>
+        </div>
+      )}
+
+      {feed.enabled && !url && (
+        <p className="text-sm text-gray-600 mb-4">
+          <span className="font-medium">Enabled</span> since{' '}
+          {new Date(feed.createdAt).toLocaleDateString('en-US', {
+            month: 'long',
+            day: 'numeric',
+            year: 'numeric',
+          })}
+          . Generate a new URL if you lost the current one.
+        </p>
+      )}
+
+      <div className="flex gap-3">
+        <button onClick={handleGenerate} disabled={isWorking} className="btn-primary">
+          <RefreshCw className="w-4 h-4 inline mr-2" />
+          {feed.enabled ? 'Regenerate URL' : 'Enable Feed'}
+        </button>
+        {feed.enabled && (
+          <button onClick={handleRevoke} disabled={isWorking} className="btn-danger">
+            <XCircle className="w-4 h-4 inline mr-2" />
+            Disable
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
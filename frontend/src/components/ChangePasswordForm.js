@@ -0,0 +1,142 @@
+'use client';
+
+import { useState } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { useAuth } from '@/context/AuthContext';
+import { secondFactor } from '@/lib/twoFactor';
+import { Lock } from 'lucide-react';
+
+const emptyForm = { currentPassword: '', newPassword: '', confirmPassword: '', code: '' };
+
+const FIELDS = [
+  { name: 'currentPassword', label: 'Current Password' },
+  { name: 'newPassword', label: 'New Password' },
+  { name: 'confirmPassword', label: 'Confirm New Password' },
+];
+
+export default function ChangePasswordForm() {
+  const { user } = useAuth();
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const validate = () => {
+    const newErrors = {};
+
+    if (!formData.currentPassword) {
+      newErrors.currentPassword = 'Current password is required';
+    }
+
+    if (formData.newPassword.length < 6) {
+      newErrors.newPassword = 'Password must be at least 6 characters';
+    } else if (formData.newPassword === formData.currentPassword) {
+      newErrors.newPassword = 'New password must be different from the current password';
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    if (user?.twoFactorEnabled && !formData.code.trim()) {
+      newErrors.code = 'Authentication code is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validate()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const response = await api.put('/api/auth/password', {
+        currentPassword: formData.currentPassword,
+        newPassword: formData.newPassword,
+        ...(user?.twoFactorEnabled && secondFactor(formData.code)),
+      });
+      const { accessToken, revokedApiKeys } = response.data.data;
+      localStorage.setItem('accessToken', accessToken);
+      setFormData(emptyForm);
+      toast.success(
+        revokedApiKeys > 0
+          ? `Password changed. Other devices have been signed out and ${revokedApiKeys} API key${revokedApiKeys === 1 ? '' : 's'} revoked`
+          : 'Password changed. Other devices have been signed out'
+      );
+    } catch (error) {
+      console.error('Error changing password:', error);
+      toast.error(error.response?.data?.message || 'Failed to change password');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-2">
+        <Lock className="w-5 h-5 text-primary-600 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-900">Change Password</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Changing your password signs you out on every other device and revokes your API keys.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4 max-w-md">
+        {FIELDS.map(({ name, label }) => (
+          <div key={name}>
+            <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-2">
+              {label}
+            </label>
+            <input
+              type="password"
+              id={name}
+              name={name}
+              value={formData[name]}
+              onChange={handleChange}
+              autoComplete={name === 'currentPassword' ? 'current-password' : 'new-password'}
+              className={`input ${errors[name] ? 'border-red-500' : ''}`}
+            />
+            {errors[name] && <p className="mt-1 text-sm text-red-600">{errors[name]}</p>}
+          </div>
+        ))}
+
+        {user?.twoFactorEnabled && (
+          <div>
+            <label htmlFor="passwordCode" className="block text-sm font-medium text-gray-700 mb-2">
+              Authentication or recovery code
+            </label>
+            <input
+              type="text"
+              id="passwordCode"
+              name="code"
+              value={formData.code}
+              onChange={handleChange}
+              autoComplete="one-time-code"
+              className={`input tracking-widest ${errors.code ? 'border-red-500' : ''}`}
+              placeholder="123456"
+            />
+            {errors.code && <p className="mt-1 text-sm text-red-600">{errors.code}</p>}
+          </div>
+        )}
+
+        <button type="submit" disabled={isSubmitting} className="btn-primary">
+          {isSubmitting ? 'Changing...' : 'Change Password'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+'use client';
+
+import { useState } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { useAuth } from '@/context/AuthContext';
+import { secondFactor } from '@/lib/twoFactor';
+import { AlertTriangle, Trash2 } from 'lucide-react';
+
+export default function DeleteAccountSection() {
+  const { user, clearSession } = useAuth();
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const handleCancel = () => {
+    setPassword('');
+    setCode('');
+    setIsConfirming(false);
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setIsDeleting(true);
+
+    try {
+      await api.delete('/api/auth/account', {
+        data: { password, ...(user?.twoFactorEnabled && secondFactor(code)) },
+      });
+      clearSession('Your account has been deleted');
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete account');
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <div className="card border border-red-200">
+      <div className="flex items-center mb-2">
+        <AlertTriangle className="w-5 h-5 text-red-600 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-900">Delete Account</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Permanently deletes your account, your personal tasks and tags, and every project you
+        own together with its tasks. Tasks you created in other people&apos;s projects stay in
+        those projects without your name. This cannot be undone.
+      </p>
+
+      {isConfirming ? (
+        <form onSubmit={handleDelete} className="space-y-4 max-w-md">
+          <div>
+            <label htmlFor="deletePassword" className="block text-sm font-medium text-gray-700 mb-2">
+              Enter your password to confirm
+            </label>
+            <input
+              type="password"
+              id="deletePassword"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              className="input"
+            />
+          </div>
+          {user?.twoFactorEnabled && (
+            <div>
+              <label htmlFor="deleteCode" className="block text-sm font-medium text-gray-700 mb-2">
+                Authentication or recovery code
+              </label>
+              <input
+                type="text"
+                id="deleteCode"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoComplete="one-time-code"
+                className="input tracking-widest"
+                placeholder="123456"
+              />
+            </div>
+          )}
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={!password || (user?.twoFactorEnabled && !code.trim()) || isDeleting}
+              className="btn-danger"
+            >
+              <Trash2 className="w-4 h-4 inline mr-2" />
+              {isDeleting ? 'Deleting...' : 'Delete My Account'}
+            </button>
+            <button type="button" onClick={handleCancel} disabled={isDeleting} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button onClick={() => setIsConfirming(true)} className="btn-danger">
+          <Trash2 className="w-4 h-4 inline mr-2" />
+          Delete Account
+        </button>
+      )}
+    </div>
+  );
+}
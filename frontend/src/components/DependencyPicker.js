@@ -0,0 +1,114 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { Lock, X } from 'lucide-react';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  'in-progress': 'In progress',
+  completed: 'Completed',
+};
+
+// value holds the prerequisite tasks ({ _id, title, status }). Candidates
+// come from the same project, or the caller's personal tasks, as the API
+// only accepts those.
+export default function DependencyPicker({ taskId, projectId, value, onChange }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ limit: 10, sortBy: 'updatedAt' });
+        if (projectId) params.append('project', projectId);
+        if (query.trim()) params.append('search', query.trim());
+
+        const response = await api.get(`/api/tasks?${params.toString()}`);
+        setResults(response.data.data.tasks);
+      } catch (error) {
+        console.error('Error searching tasks:', error);
+      }
+    }, 250);
+
+    return () => clearTimeout(timer);
+  }, [query, projectId, isOpen]);
+
+  const selectedIds = value.map((task) => task._id);
+  const candidates = results.filter(
+    (task) => task._id !== taskId && !selectedIds.includes(task._id)
+  );
+
+  const handleSelect = (task) => {
+    onChange([...value, { _id: task._id, title: task.title, status: task.status }]);
+    setQuery('');
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="space-y-2">
+      {value.length > 0 && (
+        <ul className="space-y-1">
+          {value.map((task) => (
+            <li
+              key={task._id}
+              className="flex items-center justify-between rounded-lg border border-gray-200 px-3 py-1.5"
+            >
+              <span className="flex items-center min-w-0 text-sm text-gray-900">
+                {task.status !== 'completed' && (
+                  <Lock className="w-3 h-3 mr-2 shrink-0 text-red-600" />
+                )}
+                <span className="truncate">{task.title}</span>
+                <span className={`ml-2 shrink-0 badge-${task.status}`}>
+                  {STATUS_LABELS[task.status]}
+                </span>
+              </span>
+              <button
+                type="button"
+                onClick={() => onChange(value.filter((selected) => selected._id !== task._id))}
+                className="p-1 text-gray-400 hover:text-gray-700"
+                aria-label={`Remove ${task.title}`}
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="relative">
+        <input
+          type="text"
+          id="blockedBy"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+          className="input"
+          placeholder="Search tasks this one waits on"
+          autoComplete="off"
+        />
+        {isOpen && candidates.length > 0 && (
+          <ul className="absolute z-10 mt-1 w-full bg-white border rounded-lg shadow-lg max-h-48 overflow-y-auto">
+            {candidates.map((task) => (
+              <li key={task._id}>
+                <button
+                  type="button"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => handleSelect(task)}
+                  className="w-full text-left px-4 py-2 hover:bg-gray-100"
+                >
+                  <span className="text-gray-900">{task.title}</span>
+                  <span className="ml-2 text-sm text-gray-500">{STATUS_LABELS[task.status]}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { MailWarning } from 'lucide-react';
+
+export default function EmailVerificationBanner() {
+  const { user, updateUser } = useAuth();
+  const [isSending, setIsSending] = useState(false);
+  const isUnverified = user?.emailVerified === false;
+
+  // The link may have been opened on another device since the user was
+  // stored locally, so re-check before nagging
+  useEffect(() => {
+    if (!isUnverified) return;
+
+    const refreshStatus = async () => {
+      try {
+        const response = await api.get('/api/auth/profile');
+        if (response.data.data.user.emailVerified !== false) {
+          updateUser({ ...user, emailVerified: true });
+        }
+      } catch (error) {
+        console.error('Error fetching profile:', error);
+      }
+    };
+
+    refreshStatus();
+  }, [isUnverified]);
+
+  if (!isUnverified) return null;
+
+  const handleResend = async () => {
+    setIsSending(true);
+
+    try {
+      await api.post('/api/auth/resend-verification');
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="container mx-auto px-4 py-3 flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+        <p className="flex items-center text-sm text-yellow-800">
+          <MailWarning className="w-4 h-4 mr-2 shrink-0" />
+          Please verify your email address ({user.email}). Some features are unavailable until you
+          do.
+        </p>
+        <button
+          onClick={handleResend}
+          disabled={isSending}
+          className="text-sm font-medium text-yellow-900 hover:underline disabled:opacity-50"
+        >
+          {isSending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+'use client';
+
+import { useState } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { X, Upload, CheckCircle2, AlertCircle } from 'lucide-react';
+
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+export default function ImportTasksModal({ projectId, onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [content, setContent] = useState('');
+  const [report, setReport] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const format = file?.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+
+  const sendImport = (dryRun) => {
+    const params = new URLSearchParams({ format, dryRun });
+    if (projectId) params.append('project', projectId);
+
+    // Sent as plain text so large JSON files are not limited by the JSON body parser
+    return api.post(`/api/tasks/import?${params.toString()}`, content, {
+      headers: { 'Content-Type': 'text/plain' },
+    });
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    setReport(null);
+
+    if (!selected) return;
+
+    if (selected.size > MAX_FILE_SIZE) {
+      toast.error('File cannot exceed 2 MB');
+      return;
+    }
+
+    setFile(selected);
+    setContent(await selected.text());
+  };
+
+  const handleCheck = async () => {
+    setIsWorking(true);
+
+    try {
+      const response = await sendImport(true);
+      setReport(response.data.data);
+    } catch (error) {
+      console.error('Error checking import:', error);
+      toast.error(error.response?.data?.message || 'Failed to check file');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsWorking(true);
+
+    try {
+      const response = await sendImport(false);
+      toast.success(response.data.message);
+      onImported();
+    } catch (error) {
+      console.error('Error importing tasks:', error);
+      if (error.response?.data?.data) setReport(error.response.data.data);
+      toast.error(error.response?.data?.message || 'Failed to import tasks');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-gray-900">Import Tasks</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-5">
+          <p className="text-sm text-gray-600">
+            Upload a CSV or JSON file in the same format as the export. Columns are{' '}
+            <code>title</code>, <code>description</code>, <code>status</code>,{' '}
+            <code>priority</code>, <code>dueDate</code>, <code>tags</code> (separated by{' '}
+            <code>;</code>) and <code>checklist</code>. Missing tags are created. The file is
+            checked first and nothing is imported while any row has errors.
+          </p>
+
+          <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg py-8 cursor-pointer hover:border-primary-400 transition-colors">
+            <Upload className="w-8 h-8 text-gray-400 mb-2" />
+            <span className="text-sm text-gray-700">{file ? file.name : 'Choose a .csv or .json file'}</span>
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} className="hidden" />
+          </label>
+
+          {report && (
+            <div
+              className={`rounded-lg p-4 ${
+                report.invalid > 0 ? 'bg-red-50 border border-red-200' : 'bg-green-50 border border-green-200'
+              }`}
+            >
+              <p className="flex items-center font-medium text-gray-900">
+                {report.invalid > 0 ? (
+                  <AlertCircle className="w-5 h-5 text-red-600 mr-2" />
+                ) : (
+                  <CheckCircle2 className="w-5 h-5 text-green-600 mr-2" />
+                )}
+                {report.valid} of {report.total} rows are valid
+              </p>
+
+              {report.errors.length > 0 && (
+                <ul className="mt-3 space-y-1 text-sm text-red-700 max-h-60 overflow-y-auto">
+                  {report.errors.map(({ row, errors }) => (
+                    <li key={row}>
+                      <span className="font-medium">Row {row}:</span>{' '}
+                      {errors.map((err) => err.message).join(', ')}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-3 pt-2">
+            {report && report.invalid === 0 ? (
+              <button onClick={handleImport} disabled={isWorking} className="btn-primary">
+                {isWorking ? 'Importing...' : `Import ${report.valid} Task${report.valid === 1 ? '' : 's'}`}
+              </button>
+            ) : (
+              <button onClick={handleCheck} disabled={!file || isWorking} className="btn-primary">
+                {isWorking ? 'Checking...' : 'Check File'}
+              </button>
+            )}
+            <button onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
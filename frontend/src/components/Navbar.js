@@ -1,16 +1,23 @@
 'use client';
 
 import { useAuth } from '@/context/AuthContext';
+import { useProjects } from '@/context/ProjectContext';
 import Link from 'next/link';
 import { usePathname } from 'next/navigation';
-import { CheckCircle, LayoutDashboard, User, LogOut } from 'lucide-react';
+import NotificationBell from '@/components/NotificationBell';
+import { CheckCircle, LayoutDashboard, User, LogOut, FolderKanban, Trash2, Tag, CalendarDays } from 'lucide-react';
 
 export default function Navbar() {
   const { user, logout } = useAuth();
+  const { projects, currentProjectId, selectProject } = useProjects();
   const pathname = usePathname();
 
   const navItems = [
     { href: '/dashboard', label: 'Dashboard', icon: LayoutDashboard },
+    { href: '/dashboard/calendar', label: 'Calendar', icon: CalendarDays },
+    { href: '/dashboard/projects', label: 'Projects', icon: FolderKanban },
+    { href: '/dashboard/tags', label: 'Tags', icon: Tag },
+    { href: '/dashboard/trash', label: 'Trash', icon: Trash2 },
     { href: '/dashboard/profile', label: 'Profile', icon: User },
   ];
 
@@ -47,6 +54,20 @@ export default function Navbar() {
           </div>
 
           <div className="flex items-center space-x-4">
+            <select
+              value={currentProjectId || ''}
+              onChange={(e) => selectProject(e.target.value)}
+              className="input py-1.5 w-40 sm:w-48 text-sm"
+              aria-label="Current project"
+            >
+              <option value="">Personal tasks</option>
+              {projects.map((project) => (
+                <option key={project._id} value={project._id}>
+                  {project.name}
+                </option>
+              ))}
+            </select>
+            <NotificationBell />
             <div className="hidden sm:block text-right">
               <p className="text-sm font-medium text-gray-900">{user?.fullName || user?.username}</p>
               <p className="text-xs text-gray-500">{user?.email}</p>
@@ -0,0 +1,198 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/navigation';
+import api from '@/lib/api';
+import { useProjects } from '@/context/ProjectContext';
+import { toast } from 'sonner';
+import { Bell, CheckCheck } from 'lucide-react';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  'in-progress': 'In Progress',
+  completed: 'Completed',
+};
+
+const describeNotification = (notification) => {
+  const actor = notification.actor?.fullName || notification.actor?.username || 'Someone';
+  const title = notification.task?.title || 'a deleted task';
+
+  switch (notification.type) {
+    case 'mention':
+      return `${actor} mentioned you on "${title}"`;
+    case 'assigned':
+      return `${actor} assigned "${title}" to you`;
+    case 'status-change':
+      return `${actor} moved "${title}" to ${STATUS_LABELS[notification.data?.to] || notification.data?.to}`;
+    case 'due-soon':
+      return `"${title}" is due soon`;
+    case 'overdue':
+      return `"${title}" is overdue`;
+    default:
+      return title;
+  }
+};
+
+const formatTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+};
+
+export default function NotificationBell() {
+  const router = useRouter();
+  const { selectProject } = useProjects();
+  const containerRef = useRef(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchUnreadCount = async () => {
+      try {
+        const response = await api.get('/api/notifications/unread-count');
+        setUnreadCount(response.data.data.count);
+      } catch (error) {
+        console.error('Error fetching unread count:', error);
+      }
+    };
+
+    fetchUnreadCount();
+    const timer = setInterval(fetchUnreadCount, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchNotifications = async () => {
+      setLoading(true);
+      try {
+        const response = await api.get('/api/notifications', { params: { limit: 20 } });
+        setNotifications(response.data.data.notifications);
+      } catch (error) {
+        console.error('Error fetching notifications:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    fetchNotifications();
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleOpen = async (notification) => {
+    setIsOpen(false);
+
+    if (!notification.readAt) {
+      try {
+        await api.put(`/api/notifications/${notification._id}/read`);
+        setNotifications((prev) =>
+          prev.map((entry) =>
+            entry._id === notification._id ? { ...entry, readAt: new Date().toISOString() } : entry
+          )
+        );
+        setUnreadCount((prev) => Math.max(prev - 1, 0));
+      } catch (error) {
+        console.error('Error marking notification as read:', error);
+      }
+    }
+
+    if (notification.task && !notification.task.deletedAt) {
+      selectProject(notification.task.project || '');
+      router.push('/dashboard');
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await api.put('/api/notifications/read-all');
+      const now = new Date().toISOString();
+      setNotifications((prev) => prev.map((entry) => ({ ...entry, readAt: entry.readAt || now })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      toast.error(error.response?.data?.message || 'Failed to mark notifications as read');
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        className="relative p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 flex items-center justify-center rounded-full bg-red-600 text-white text-xs font-medium">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-20 mt-2 w-80 bg-white border rounded-lg shadow-lg">
+          <div className="flex items-center justify-between px-4 py-3 border-b">
+            <h2 className="text-sm font-semibold text-gray-900">Notifications</h2>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="flex items-center text-xs font-medium text-primary-600 hover:text-primary-700"
+              >
+                <CheckCheck className="w-4 h-4 mr-1" />
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {loading && notifications.length === 0 ? (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+            </div>
+          ) : notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">You&apos;re all caught up</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => handleOpen(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 flex gap-3 ${
+                      notification.readAt ? '' : 'bg-primary-50'
+                    }`}
+                  >
+                    <span
+                      className={`mt-1.5 w-2 h-2 rounded-full shrink-0 ${
+                        notification.readAt ? 'bg-transparent' : 'bg-primary-600'
+                      }`}
+                    />
+                    <span>
+                      <span className="block text-sm text-gray-900">
+                        {describeNotification(notification)}
+                      </span>
+                      <time className="text-xs text-gray-500">{formatTime(notification.createdAt)}</time>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
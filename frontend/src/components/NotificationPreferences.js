@@ -0,0 +1,85 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { Bell } from 'lucide-react';
+
+const OPTIONS = [
+  { key: 'mention', label: 'Mentions', description: 'Someone @mentions you in a comment' },
+  { key: 'assigned', label: 'Assignments', description: 'A task is assigned to you' },
+  {
+    key: 'statusChange',
+    label: 'Status changes',
+    description: 'Someone else changes the status of a task you created, are assigned to or watch',
+  },
+  { key: 'dueSoon', label: 'Due soon', description: 'A task of yours is due within a day' },
+  { key: 'overdue', label: 'Overdue', description: 'A task of yours is past its due date' },
+];
+
+export default function NotificationPreferences() {
+  const [preferences, setPreferences] = useState(null);
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const response = await api.get('/api/notifications/preferences');
+        setPreferences(response.data.data.preferences);
+      } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+      }
+    };
+
+    fetchPreferences();
+  }, []);
+
+  const handleToggle = async (key) => {
+    const previous = preferences;
+    const value = !preferences[key];
+    setPreferences((prev) => ({ ...prev, [key]: value }));
+
+    try {
+      const response = await api.put('/api/notifications/preferences', { [key]: value });
+      setPreferences(response.data.data.preferences);
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      setPreferences(previous);
+      toast.error(error.response?.data?.message || 'Failed to update notification preferences');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-2">
+        <Bell className="w-5 h-5 text-primary-600 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-900">Notifications</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">Choose which events show up in your notifications.</p>
+
+      {!preferences ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {OPTIONS.map(({ key, label, description }) => (
+            <li key={key} className="py-3">
+              <label className="flex items-start justify-between gap-4 cursor-pointer">
+                <span>
+                  <span className="block font-medium text-gray-900">{label}</span>
+                  <span className="block text-sm text-gray-500">{description}</span>
+                </span>
+                <input
+                  type="checkbox"
+                  checked={preferences[key]}
+                  onChange={() => handleToggle(key)}
+                  className="mt-1 w-4 h-4 text-primary-600 rounded"
+                />
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
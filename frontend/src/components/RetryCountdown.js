@@ -0,0 +1,38 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Clock } from 'lucide-react';
+
+const formatRemaining = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Counts down to `until` (a timestamp) and calls onDone when it is reached
+export default function RetryCountdown({ until, onDone }) {
+  const [remaining, setRemaining] = useState(() =>
+    Math.max(0, Math.ceil((until - Date.now()) / 1000))
+  );
+
+  useEffect(() => {
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((until - Date.now()) / 1000));
+      setRemaining(seconds);
+      if (seconds === 0) onDone();
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [until, onDone]);
+
+  return (
+    <div className="flex items-center rounded-lg bg-red-50 border border-red-200 px-4 py-3 text-sm text-red-700">
+      <Clock className="w-4 h-4 mr-2 shrink-0" />
+      <span>
+        Too many attempts. You can try again in{' '}
+        <span className="font-semibold tabular-nums">{formatRemaining(remaining)}</span>.
+      </span>
+    </div>
+  );
+}
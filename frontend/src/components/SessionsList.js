@@ -0,0 +1,163 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { useAuth } from '@/context/AuthContext';
+import { MonitorSmartphone, LogOut } from 'lucide-react';
+
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Firefox/', 'Firefox'],
+  ['Chrome/', 'Chrome'],
+  ['Safari/', 'Safari'],
+];
+
+const PLATFORMS = [
+  ['iPhone', 'iPhone'],
+  ['iPad', 'iPad'],
+  ['Android', 'Android'],
+  ['Windows', 'Windows'],
+  ['Mac OS X', 'macOS'],
+  ['Linux', 'Linux'],
+];
+
+// Rough "Chrome on Windows" label; the full user agent is shown on hover
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+  const platform = PLATFORMS.find(([token]) => userAgent.includes(token))?.[1];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || userAgent.split(' ')[0];
+};
+
+const formatDateTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+};
+
+export default function SessionsList() {
+  const { clearSession } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await api.get('/api/auth/sessions');
+        setSessions(response.data.data.sessions);
+      } catch (error) {
+        console.error('Error fetching sessions:', error);
+        toast.error('Failed to fetch sessions');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    if (session.current && !confirm('Log out of this device?')) {
+      return;
+    }
+
+    setIsWorking(true);
+
+    try {
+      await api.delete(`/api/auth/sessions/${session._id}`);
+
+      if (session.current) {
+        clearSession('Logged out successfully');
+        return;
+      }
+
+      setSessions((prev) => prev.filter((item) => item._id !== session._id));
+      toast.success('Session revoked');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke session');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!confirm('Log out of every device, including this one?')) {
+      return;
+    }
+
+    setIsWorking(true);
+
+    try {
+      await api.delete('/api/auth/sessions');
+      clearSession('Logged out of all devices');
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      toast.error(error.response?.data?.message || 'Failed to log out everywhere');
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center">
+          <MonitorSmartphone className="w-5 h-5 text-primary-600 mr-2" />
+          <h2 className="text-xl font-semibold text-gray-900">Sessions</h2>
+        </div>
+        {sessions.length > 0 && (
+          <button onClick={handleRevokeAll} disabled={isWorking} className="btn-danger">
+            <LogOut className="w-4 h-4 inline mr-2" />
+            Log Out Everywhere
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Devices signed in to your account. Revoke any session you don&apos;t recognize.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map((session) => (
+            <li key={session._id} className="py-3 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 flex items-center gap-2" title={session.userAgent}>
+                  {describeDevice(session.userAgent)}
+                  {session.current && (
+                    <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-green-100 text-green-800">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {session.ip || 'Unknown IP'} · Signed in {formatDateTime(session.createdAt)} ·
+                  Last active {formatDateTime(session.lastUsedAt)}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                disabled={isWorking}
+                className="btn-secondary shrink-0"
+              >
+                {session.current ? 'Log Out' : 'Revoke'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
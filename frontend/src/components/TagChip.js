@@ -0,0 +1,31 @@
+// Picks black or white text depending on the tag color's brightness
+const textColorFor = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  const r = (value >> 16) & 255;
+  const g = (value >> 8) & 255;
+  const b = value & 255;
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#111827' : '#ffffff';
+};
+
+export default function TagChip({ tag, selected = true, onClick }) {
+  const color = tag.color || '#3b82f6';
+  const style = selected
+    ? { backgroundColor: color, color: textColorFor(color), borderColor: color }
+    : { color, borderColor: color };
+
+  const className = 'badge border inline-flex items-center';
+
+  if (onClick) {
+    return (
+      <button type="button" onClick={onClick} className={`${className} transition-colors`} style={style}>
+        {tag.name}
+      </button>
+    );
+  }
+
+  return (
+    <span className={className} style={style}>
+      {tag.name}
+    </span>
+  );
+}
@@ -0,0 +1,111 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { Plus } from 'lucide-react';
+import TagChip from '@/components/TagChip';
+
+export const TAG_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#6b7280'];
+
+// value holds tag objects; tags other people attached to a shared task are
+// shown alongside the caller's own tags.
+export default function TagPicker({ value, onChange }) {
+  const [tags, setTags] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(TAG_COLORS[0]);
+
+  useEffect(() => {
+    const fetchTags = async () => {
+      try {
+        const response = await api.get('/api/tags');
+        setTags(response.data.data.tags);
+      } catch (error) {
+        console.error('Error fetching tags:', error);
+      }
+    };
+
+    fetchTags();
+  }, []);
+
+  const selectedIds = value.map((tag) => tag._id);
+  const foreignTags = value.filter((tag) => !tags.some((own) => own._id === tag._id));
+
+  const toggleTag = (tag) => {
+    onChange(
+      selectedIds.includes(tag._id)
+        ? value.filter((selected) => selected._id !== tag._id)
+        : [...value, tag]
+    );
+  };
+
+  const handleCreate = async () => {
+    const name = newName.trim();
+    if (!name) return;
+
+    if (name.length > 30) {
+      toast.error('Tag name cannot exceed 30 characters');
+      return;
+    }
+
+    try {
+      const response = await api.post('/api/tags', { name, color: newColor });
+      const { tag } = response.data.data;
+      setTags((prev) => [...prev, tag].sort((a, b) => a.name.localeCompare(b.name)));
+      onChange([...value, tag]);
+      setNewName('');
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      toast.error(error.response?.data?.message || 'Failed to create tag');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {tags.length + foreignTags.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {[...tags, ...foreignTags].map((tag) => (
+            <TagChip
+              key={tag._id}
+              tag={tag}
+              selected={selectedIds.includes(tag._id)}
+              onClick={() => toggleTag(tag)}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          id="newTag"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleCreate();
+            }
+          }}
+          className="input"
+          placeholder="New tag"
+        />
+        <div className="flex items-center gap-1">
+          {TAG_COLORS.map((color) => (
+            <button
+              key={color}
+              type="button"
+              onClick={() => setNewColor(color)}
+              className={`w-5 h-5 rounded-full ${newColor === color ? 'ring-2 ring-offset-1 ring-gray-400' : ''}`}
+              style={{ backgroundColor: color }}
+              aria-label={`Color ${color}`}
+            />
+          ))}
+        </div>
+        <button type="button" onClick={handleCreate} className="btn-secondary">
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import api from '@/lib/api';
+import { useProjects } from '@/context/ProjectContext';
+import { toast } from 'sonner';
+import { Paperclip, Upload, Download, Trash2 } from 'lucide-react';
+
+// Matches the server's allow-list; it decides in the end
+const ACCEPT =
+  'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/csv,text/markdown,' +
+  'application/json,application/zip,.md,.csv,.docx,.xlsx,.pptx';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export default function TaskAttachments({ taskId, projectId }) {
+  const { projects } = useProjects();
+  const canEdit =
+    !projectId || projects.find((project) => project._id === projectId)?.role !== 'viewer';
+
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploads, setUploads] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    const fetchAttachments = async () => {
+      try {
+        const response = await api.get(`/api/tasks/${taskId}/attachments`);
+        setAttachments(response.data.data.attachments);
+      } catch (error) {
+        console.error('Error fetching attachments:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAttachments();
+  }, [taskId]);
+
+  const uploadFile = async (file) => {
+    const id = `${file.name}-${Date.now()}-${Math.random()}`;
+    setUploads((prev) => [...prev, { id, name: file.name, progress: 0 }]);
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+      const response = await api.post(`/api/tasks/${taskId}/attachments`, formData, {
+        // Replaces the JSON default; the browser adds the boundary
+        headers: { 'Content-Type': 'multipart/form-data' },
+        onUploadProgress: (event) => {
+          if (!event.total) return;
+          const progress = Math.round((event.loaded / event.total) * 100);
+          setUploads((prev) =>
+            prev.map((upload) => (upload.id === id ? { ...upload, progress } : upload))
+          );
+        },
+      });
+      setAttachments((prev) => [...prev, response.data.data.attachment]);
+    } catch (error) {
+      console.error('Error uploading file:', error);
+      toast.error(error.response?.data?.message || `Failed to upload ${file.name}`);
+    } finally {
+      setUploads((prev) => prev.filter((upload) => upload.id !== id));
+    }
+  };
+
+  const handleFiles = (fileList) => {
+    Array.from(fileList).forEach(uploadFile);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (canEdit) handleFiles(e.dataTransfer.files);
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const response = await api.get(`/api/tasks/${taskId}/attachments/${attachment._id}`, {
+        responseType: 'blob',
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading file:', error);
+      toast.error('Failed to download file');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!confirm(`Delete ${attachment.filename}?`)) return;
+
+    try {
+      await api.delete(`/api/tasks/${taskId}/attachments/${attachment._id}`);
+      setAttachments((prev) => prev.filter((entry) => entry._id !== attachment._id));
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete attachment');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center mb-3">
+        <Paperclip className="w-4 h-4 mr-2 text-gray-700" />
+        <h3 className="text-sm font-medium text-gray-700">
+          Attachments{attachments.length > 0 && ` (${attachments.length})`}
+        </h3>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        attachments.length > 0 && (
+          <ul className="space-y-2 mb-3">
+            {attachments.map((attachment) => (
+              <li
+                key={attachment._id}
+                className="flex items-center justify-between gap-3 rounded-lg border border-gray-200 px-3 py-2"
+              >
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{attachment.filename}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatSize(attachment.size)}
+                    {' · '}
+                    {attachment.user?.fullName || attachment.user?.username || 'Deleted user'}
+                  </p>
+                </div>
+                <div className="flex gap-1 flex-shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => handleDownload(attachment)}
+                    className="p-1 text-gray-500 hover:text-gray-900"
+                    aria-label={`Download ${attachment.filename}`}
+                  >
+                    <Download className="w-4 h-4" />
+                  </button>
+                  {canEdit && (
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(attachment)}
+                      className="p-1 text-red-500 hover:bg-red-50 rounded"
+                      aria-label={`Delete ${attachment.filename}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+
+      {uploads.length > 0 && (
+        <ul className="space-y-2 mb-3">
+          {uploads.map((upload) => (
+            <li key={upload.id}>
+              <div className="flex justify-between text-xs text-gray-600 mb-1">
+                <span className="truncate">{upload.name}</span>
+                <span>{upload.progress}%</span>
+              </div>
+              <div className="h-1.5 rounded-full bg-gray-200">
+                <div
+                  className="h-1.5 rounded-full bg-primary-600 transition-all"
+                  style={{ width: `${upload.progress}%` }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && (
+        <div
+          onDragOver={(e) => {
+            e.preventDefault();
+            setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+          onClick={() => inputRef.current?.click()}
+          className={`flex flex-col items-center justify-center rounded-lg border-2 border-dashed px-4 py-6 text-center cursor-pointer transition-colors ${
+            isDragging ? 'border-primary-500 bg-primary-50' : 'border-gray-300 hover:border-gray-400'
+          }`}
+        >
+          <Upload className="w-5 h-5 text-gray-400 mb-2" />
+          <p className="text-sm text-gray-600">Drop files here or click to upload</p>
+          <p className="text-xs text-gray-400 mt-1">
+            Images, PDFs, text and Office documents
+          </p>
+          <input
+            ref={inputRef}
+            type="file"
+            multiple
+            accept={ACCEPT}
+            onChange={(e) => {
+              handleFiles(e.target.files);
+              e.target.value = '';
+            }}
+            className="hidden"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,395 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import api from '@/lib/api';
+import { useAuth } from '@/context/AuthContext';
+import { subscribeToTaskEvents } from '@/lib/events';
+import { matchesTaskFilters } from '@/lib/taskFilters';
+import { toast } from 'sonner';
+import { Edit2, Trash2, Eye, Calendar, UserCircle, ListChecks, Repeat, Lock } from 'lucide-react';
+import TagChip from '@/components/TagChip';
+import { describeRecurrence } from '@/lib/recurrence';
+import { describeBlockers } from '@/lib/dependencies';
+
+const COLUMN_PAGE_SIZE = 50;
+
+const COLUMNS = [
+  { status: 'pending', label: 'Pending', accent: 'border-yellow-400' },
+  { status: 'in-progress', label: 'In Progress', accent: 'border-blue-500' },
+  { status: 'completed', label: 'Completed', accent: 'border-green-500' },
+];
+
+const emptyColumns = () =>
+  Object.fromEntries(
+    COLUMNS.map(({ status }) => [status, { tasks: [], nextCursor: null, hasMore: false }])
+  );
+
+// Returns columns with the task removed from its old column and inserted
+// above beforeId (or at the bottom) of the target column.
+const placeTask = (columns, task, toStatus, beforeId) => {
+  const next = { ...columns };
+  next[task.status] = {
+    ...next[task.status],
+    tasks: next[task.status].tasks.filter((item) => item._id !== task._id),
+  };
+
+  const target = [...next[toStatus].tasks];
+  const index = beforeId ? target.findIndex((item) => item._id === beforeId) : -1;
+  const moved = { ...task, status: toStatus };
+
+  if (index === -1) {
+    target.push(moved);
+  } else {
+    target.splice(index, 0, moved);
+  }
+
+  next[toStatus] = { ...next[toStatus], tasks: target };
+  return next;
+};
+
+// Applies a task pushed by the event stream: it leaves whatever column held
+// it and, when it still matches the board, is slotted in by position. Tasks
+// that sort past a column's loaded page are left for pagination to fetch.
+const applyRemoteTask = (columns, task, matches) => {
+  const next = Object.fromEntries(
+    Object.entries(columns).map(([status, column]) => [
+      status,
+      { ...column, tasks: column.tasks.filter((item) => item._id !== task._id) },
+    ])
+  );
+  const wasShown = COLUMNS.some(
+    ({ status }) => next[status].tasks.length !== columns[status].tasks.length
+  );
+
+  if (matches === false || (matches === null && !wasShown) || !next[task.status]) {
+    return next;
+  }
+
+  const target = [...next[task.status].tasks];
+  const index = target.findIndex((item) => item.position > task.position);
+
+  if (index === -1) {
+    if (next[task.status].hasMore) return next;
+    target.push(task);
+  } else {
+    target.splice(index, 0, task);
+  }
+
+  next[task.status] = { ...next[task.status], tasks: target };
+  return next;
+};
+
+const DropIndicator = () => <div className="h-1 rounded-full bg-primary-400 mb-2" />;
+
+export default function TaskBoard({ query, reloadKey, canEdit, onEdit, onDelete, onChange }) {
+  const [columns, setColumns] = useState(emptyColumns);
+  const [loading, setLoading] = useState(true);
+  const [dragged, setDragged] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const { user } = useAuth();
+  const taskEventHandlerRef = useRef(null);
+
+  useEffect(() => {
+    const fetchBoard = async () => {
+      setLoading(true);
+      await Promise.all(COLUMNS.map(({ status }) => fetchColumn(status)));
+      setLoading(false);
+    };
+
+    fetchBoard();
+  }, [query, reloadKey]);
+
+  useEffect(() => {
+    return subscribeToTaskEvents((type, data) => taskEventHandlerRef.current(type, data));
+  }, []);
+
+  // Resets are handled by the dashboard, which reloads the whole board
+  const handleTaskEvent = (type, data) => {
+    if (type === 'task.deleted') {
+      setColumns((prev) =>
+        Object.fromEntries(
+          Object.entries(prev).map(([status, column]) => [
+            status,
+            { ...column, tasks: column.tasks.filter((item) => item._id !== data.taskId) },
+          ])
+        )
+      );
+    } else if (type === 'task.created' || type === 'task.updated') {
+      const matches = matchesTaskFilters(data.task, new URLSearchParams(query), user?.id || user?._id);
+      setColumns((prev) => applyRemoteTask(prev, data.task, matches));
+    }
+  };
+  taskEventHandlerRef.current = handleTaskEvent;
+
+  // Without a cursor the column is reloaded from the first page
+  const fetchColumn = async (status, cursor = null) => {
+    try {
+      const params = new URLSearchParams(query);
+      params.append('status', status);
+      params.append('sortBy', 'position');
+      params.append('order', 'asc');
+      params.append('limit', COLUMN_PAGE_SIZE);
+      if (cursor) params.append('cursor', cursor);
+
+      const response = await api.get(`/api/tasks?${params.toString()}`);
+      const { tasks: page, pagination } = response.data.data;
+
+      setColumns((prev) => ({
+        ...prev,
+        [status]: {
+          tasks: cursor ? [...prev[status].tasks, ...page] : page,
+          nextCursor: pagination.nextCursor,
+          hasMore: pagination.hasMore,
+        },
+      }));
+    } catch (error) {
+      console.error('Error fetching tasks:', error);
+      toast.error('Failed to fetch tasks');
+    }
+  };
+
+  const handleMove = async (task, toStatus, beforeId, force = false) => {
+    const column = columns[toStatus].tasks;
+    const currentIndex = column.findIndex((item) => item._id === task._id);
+    const isSamePlace =
+      currentIndex !== -1 &&
+      (beforeId === task._id || (column[currentIndex + 1]?._id || null) === beforeId);
+
+    if (isSamePlace) return;
+
+    const previous = columns;
+    setColumns(placeTask(columns, task, toStatus, beforeId));
+
+    try {
+      const response = await api.put(`/api/tasks/${task._id}/move`, {
+        status: toStatus,
+        beforeId,
+        force,
+      });
+      const { task: moved, nextTask } = response.data.data;
+
+      setColumns((prev) => ({
+        ...prev,
+        [toStatus]: {
+          ...prev[toStatus],
+          tasks: prev[toStatus].tasks.map((item) => (item._id === moved._id ? moved : item)),
+        },
+      }));
+
+      if (nextTask) {
+        toast.info('Task completed. Next occurrence created');
+        fetchColumn(nextTask.status);
+      }
+
+      onChange();
+    } catch (error) {
+      console.error('Error moving task:', error);
+      setColumns(previous);
+
+      // Blocked by unfinished dependencies; the user may move it anyway
+      if (error.response?.status === 409) {
+        if (confirm(`${error.response.data.message}. Move it anyway?`)) {
+          handleMove(task, toStatus, beforeId, true);
+        }
+        return;
+      }
+
+      toast.error(error.response?.data?.message || 'Failed to move task');
+    }
+  };
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', task._id);
+    setDragged(task);
+  };
+
+  const handleDragEnd = () => {
+    setDragged(null);
+    setDropTarget(null);
+  };
+
+  // Dropping on the upper half of a card places the dragged task above it,
+  // the lower half places it above the next card
+  const handleCardDragOver = (e, status, index) => {
+    if (!dragged) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const below = e.clientY > rect.top + rect.height / 2;
+    const tasks = columns[status].tasks;
+    const beforeId = (below ? tasks[index + 1]?._id : tasks[index]._id) || null;
+
+    if (dropTarget?.status !== status || dropTarget?.beforeId !== beforeId) {
+      setDropTarget({ status, beforeId });
+    }
+  };
+
+  const handleColumnDragOver = (e, status) => {
+    if (!dragged) return;
+    e.preventDefault();
+
+    if (dropTarget?.status !== status) {
+      setDropTarget({ status, beforeId: null });
+    }
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    if (!dragged) return;
+
+    const beforeId = dropTarget?.status === status ? dropTarget.beforeId : null;
+    handleMove(dragged, status, beforeId);
+    handleDragEnd();
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-start">
+      {COLUMNS.map(({ status, label, accent }) => {
+        const { tasks, nextCursor, hasMore } = columns[status];
+        const isTarget = dropTarget?.status === status;
+
+        return (
+          <div
+            key={status}
+            onDragOver={(e) => handleColumnDragOver(e, status)}
+            onDrop={(e) => handleDrop(e, status)}
+            className={`rounded-lg bg-gray-100 border-t-4 ${accent} p-3 min-h-[12rem] ${
+              isTarget ? 'ring-2 ring-primary-300' : ''
+            }`}
+          >
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="font-semibold text-gray-900">{label}</h2>
+              <span className="text-sm text-gray-500">{tasks.length}{hasMore ? '+' : ''}</span>
+            </div>
+
+            <div className="space-y-2">
+              {tasks.map((task, index) => (
+                <div key={task._id}>
+                  {isTarget && dropTarget.beforeId === task._id && dragged?._id !== task._id && (
+                    <DropIndicator />
+                  )}
+                  <div
+                    draggable={canEdit}
+                    onDragStart={(e) => handleDragStart(e, task)}
+                    onDragEnd={handleDragEnd}
+                    onDragOver={(e) => handleCardDragOver(e, status, index)}
+                    className={`bg-white rounded-lg shadow-sm p-3 ${
+                      canEdit ? 'cursor-grab active:cursor-grabbing' : ''
+                    } ${dragged?._id === task._id ? 'opacity-50' : ''}`}
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <h3 className="font-medium text-gray-900">{task.title}</h3>
+                      {canEdit ? (
+                        <div className="flex shrink-0">
+                          <button
+                            onClick={() => onEdit(task)}
+                            className="p-1 text-primary-600 hover:bg-primary-50 rounded transition-colors"
+                          >
+                            <Edit2 className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => onDelete(task._id)}
+                            className="p-1 text-red-600 hover:bg-red-50 rounded transition-colors"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={() => onEdit(task)}
+                          className="p-1 text-primary-600 hover:bg-primary-50 rounded transition-colors shrink-0"
+                          aria-label={`View ${task.title}`}
+                        >
+                          <Eye className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-2 mt-2">
+                      <span className={`badge-${task.priority}`}>{task.priority}</span>
+                      {task.isBlocked && (
+                        <span
+                          className="flex items-center text-xs text-red-700"
+                          title={describeBlockers(task)}
+                        >
+                          <Lock className="w-3 h-3 mr-1" />
+                          Blocked
+                        </span>
+                      )}
+                      {task.dueDate && (
+                        <span className="flex items-center text-xs text-gray-500">
+                          <Calendar className="w-3 h-3 mr-1" />
+                          {formatDate(task.dueDate)}
+                        </span>
+                      )}
+                      {task.recurrence && (
+                        <span
+                          className="flex items-center text-xs text-indigo-700"
+                          title={describeRecurrence(task.recurrence)}
+                        >
+                          <Repeat className="w-3 h-3" />
+                        </span>
+                      )}
+                      {task.checklist?.length > 0 && (
+                        <span className="flex items-center text-xs text-gray-500">
+                          <ListChecks className="w-3 h-3 mr-1" />
+                          {task.progress}%
+                        </span>
+                      )}
+                      {task.assignee && (
+                        <span className="flex items-center text-xs text-gray-500">
+                          <UserCircle className="w-3 h-3 mr-1" />
+                          {task.assignee.fullName || task.assignee.username}
+                        </span>
+                      )}
+                    </div>
+
+                    {task.tags?.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-2">
+                        {task.tags.map((tag) => (
+                          <TagChip key={tag._id} tag={tag} />
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))}
+
+              {isTarget && dropTarget.beforeId === null && <DropIndicator />}
+
+              {tasks.length === 0 && !isTarget && (
+                <p className="text-sm text-gray-400 text-center py-6">No tasks</p>
+              )}
+
+              {hasMore && (
+                <button
+                  onClick={() => fetchColumn(status, nextCursor)}
+                  className="w-full text-sm text-primary-600 hover:underline py-2"
+                >
+                  Load more
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,311 @@
+'use client';
+
+import { Children, useState, useEffect, useMemo } from 'react';
+import ReactMarkdown from 'react-markdown';
+import api from '@/lib/api';
+import { useAuth } from '@/context/AuthContext';
+import { useProjects } from '@/context/ProjectContext';
+import { toast } from 'sonner';
+import { MessageSquare, Edit2, Trash2 } from 'lucide-react';
+
+const MAX_LENGTH = 5000;
+const MENTION_SPLIT = /(@[a-zA-Z0-9_]{3,30})/;
+
+// Wraps the @usernames the server resolved to real users, leaving any other
+// text (including unknown names) untouched.
+const highlightMentions = (children, usernames) => {
+  return Children.map(children, (child) => {
+    if (typeof child !== 'string') return child;
+
+    return child.split(MENTION_SPLIT).map((part, index) =>
+      index % 2 === 1 && usernames.has(part.slice(1)) ? (
+        <span key={index} className="mention">
+          {part}
+        </span>
+      ) : (
+        part
+      )
+    );
+  });
+};
+
+// Markdown links always open outside the app
+function ExternalLink({ node, ...props }) {
+  return <a {...props} target="_blank" rel="noopener noreferrer" />;
+}
+
+function CommentBody({ comment }) {
+  const components = useMemo(() => {
+    const usernames = new Set((comment.mentions || []).map((user) => user.username));
+    const withMentions = (Tag) => {
+      const Component = ({ node, children, ...props }) => (
+        <Tag {...props}>{highlightMentions(children, usernames)}</Tag>
+      );
+      Component.displayName = `Mentions(${Tag})`;
+      return Component;
+    };
+
+    return {
+      p: withMentions('p'),
+      li: withMentions('li'),
+      em: withMentions('em'),
+      strong: withMentions('strong'),
+      a: ExternalLink,
+    };
+  }, [comment.mentions]);
+
+  return (
+    <div className="markdown">
+      <ReactMarkdown components={components}>{comment.body}</ReactMarkdown>
+    </div>
+  );
+}
+
+export default function TaskComments({ taskId, projectId }) {
+  const { user } = useAuth();
+  const { projects } = useProjects();
+  const currentUserId = user?.id || user?._id;
+  // Personal tasks belong to the viewer; on shared tasks only the project
+  // owner may delete other people's comments
+  const canModerate =
+    !projectId || projects.find((project) => project._id === projectId)?.role === 'owner';
+
+  const [comments, setComments] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [newComment, setNewComment] = useState('');
+  const [isPosting, setIsPosting] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+
+  useEffect(() => {
+    const fetchComments = async () => {
+      try {
+        const response = await api.get(`/api/tasks/${taskId}/comments`);
+        const { comments, total, pagination } = response.data.data;
+        setComments(comments);
+        setTotal(total);
+        setNextCursor(pagination.nextCursor);
+      } catch (error) {
+        console.error('Error fetching comments:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchComments();
+  }, [taskId]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+
+    try {
+      const response = await api.get(`/api/tasks/${taskId}/comments`, {
+        params: { cursor: nextCursor },
+      });
+      const { comments, total, pagination } = response.data.data;
+      setComments((prev) => [...prev, ...comments]);
+      setTotal(total);
+      setNextCursor(pagination.nextCursor);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      toast.error(error.response?.data?.message || 'Failed to load comments');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handlePost = async (e) => {
+    e.preventDefault();
+    if (!newComment.trim()) return;
+
+    setIsPosting(true);
+
+    try {
+      const response = await api.post(`/api/tasks/${taskId}/comments`, { body: newComment });
+      // Only append when every earlier page is loaded, otherwise the new
+      // comment shows up once the user reaches the end of the thread
+      if (!nextCursor) {
+        setComments((prev) => [...prev, response.data.data.comment]);
+      }
+      setTotal((prev) => prev + 1);
+      setNewComment('');
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to add comment');
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  const handleUpdate = async (comment) => {
+    if (!editText.trim()) return;
+
+    try {
+      const response = await api.put(`/api/tasks/${taskId}/comments/${comment._id}`, {
+        body: editText,
+      });
+      const updated = response.data.data.comment;
+      setComments((prev) => prev.map((entry) => (entry._id === updated._id ? updated : entry)));
+      setEditingId(null);
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to update comment');
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!confirm('Delete this comment?')) return;
+
+    try {
+      await api.delete(`/api/tasks/${taskId}/comments/${comment._id}`);
+      setComments((prev) => prev.filter((entry) => entry._id !== comment._id));
+      setTotal((prev) => prev - 1);
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center mb-3">
+        <MessageSquare className="w-4 h-4 mr-2 text-gray-700" />
+        <h3 className="text-sm font-medium text-gray-700">
+          Comments{total > 0 && ` (${total})`}
+        </h3>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <>
+          {comments.length === 0 && <p className="text-sm text-gray-500 mb-3">No comments yet</p>}
+
+          <ul className="space-y-4 mb-4">
+            {comments.map((comment) => {
+              const authorId = comment.user?._id;
+              const isAuthor = authorId === currentUserId;
+              const author = comment.user?.fullName || comment.user?.username || 'Deleted user';
+
+              return (
+                <li key={comment._id} className="group">
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm">
+                      <span className="font-medium text-gray-900">{author}</span>{' '}
+                      <time className="text-xs text-gray-500">
+                        {new Date(comment.createdAt).toLocaleString('en-US', {
+                          month: 'short',
+                          day: 'numeric',
+                          hour: 'numeric',
+                          minute: '2-digit',
+                        })}
+                      </time>
+                      {comment.editedAt && <span className="text-xs text-gray-400"> (edited)</span>}
+                    </p>
+                    {editingId !== comment._id && (
+                      <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                        {isAuthor && (
+                          <button
+                            type="button"
+                            onClick={() => {
+                              setEditingId(comment._id);
+                              setEditText(comment.body);
+                            }}
+                            className="p-1 text-gray-400 hover:text-gray-700"
+                            aria-label="Edit comment"
+                          >
+                            <Edit2 className="w-4 h-4" />
+                          </button>
+                        )}
+                        {(isAuthor || canModerate) && (
+                          <button
+                            type="button"
+                            onClick={() => handleDelete(comment)}
+                            className="p-1 text-red-500 hover:bg-red-50 rounded"
+                            aria-label="Delete comment"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  {editingId === comment._id ? (
+                    <div className="mt-1">
+                      <textarea
+                        value={editText}
+                        onChange={(e) => setEditText(e.target.value)}
+                        rows={3}
+                        maxLength={MAX_LENGTH}
+                        className="input resize-none text-sm"
+                      />
+                      <div className="flex gap-2 mt-2">
+                        <button
+                          type="button"
+                          onClick={() => handleUpdate(comment)}
+                          disabled={!editText.trim()}
+                          className="btn-primary text-sm"
+                        >
+                          Save
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setEditingId(null)}
+                          className="btn-secondary text-sm"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="mt-1">
+                      <CommentBody comment={comment} />
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+
+          {nextCursor && (
+            <button
+              type="button"
+              onClick={handleLoadMore}
+              disabled={loadingMore}
+              className="text-sm font-medium text-primary-600 hover:text-primary-700 mb-4"
+            >
+              {loadingMore ? 'Loading...' : 'Show more comments'}
+            </button>
+          )}
+        </>
+      )}
+
+      <form onSubmit={handlePost}>
+        <textarea
+          value={newComment}
+          onChange={(e) => setNewComment(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+              handlePost(e);
+            }
+          }}
+          rows={3}
+          maxLength={MAX_LENGTH}
+          className="input resize-none text-sm"
+          placeholder="Write a comment... Markdown and @username mentions are supported"
+        />
+        <div className="flex justify-end mt-2">
+          <button type="submit" disabled={isPosting || !newComment.trim()} className="btn-primary">
+            {isPosting ? 'Posting...' : 'Comment'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { describeRecurrence } from '@/lib/recurrence';
+import { History, PlusCircle, Edit2, Trash2 } from 'lucide-react';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  project: 'Project',
+  assignee: 'Assignee',
+  watchers: 'Watchers',
+  tags: 'Tags',
+  blockedBy: 'Blocked by',
+  recurrence: 'Repeat',
+  checklist: 'Checklist',
+};
+
+const ACTION_ICONS = {
+  create: PlusCircle,
+  update: Edit2,
+  delete: Trash2,
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return 'none';
+
+  switch (field) {
+    case 'dueDate':
+      return new Date(value).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+      });
+    case 'assignee':
+      return value.fullName || value.username || 'unknown user';
+    case 'watchers':
+      return `${value.length} watcher${value.length === 1 ? '' : 's'}`;
+    case 'tags':
+      return `${value.length} tag${value.length === 1 ? '' : 's'}`;
+    case 'blockedBy':
+      return `${value.length} task${value.length === 1 ? '' : 's'}`;
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'checklist':
+      return `${value.filter((item) => item.completed).length}/${value.length} done`;
+    case 'project':
+      return 'shared project';
+    default:
+      return String(value).replace('-', ' ');
+  }
+};
+
+export default function TaskHistory({ taskId }) {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await api.get(`/api/tasks/${taskId}/history`);
+        setHistory(response.data.data.history);
+      } catch (error) {
+        console.error('Error fetching history:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [taskId]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (history.length === 0) {
+    return <p className="text-sm text-gray-500">No activity recorded yet</p>;
+  }
+
+  return (
+    <ol className="border-l border-gray-200 ml-2 space-y-4">
+      {history.map((entry) => {
+        const Icon = ACTION_ICONS[entry.action] || History;
+        const actor = entry.user?.fullName || entry.user?.username || 'Deleted user';
+
+        return (
+          <li key={entry._id} className="relative ml-4">
+            <span className="absolute -left-[1.65rem] top-0 flex items-center justify-center w-5 h-5 bg-white rounded-full">
+              <Icon className="w-4 h-4 text-primary-600" />
+            </span>
+            <p className="text-sm text-gray-900">
+              <span className="font-medium">{actor}</span>{' '}
+              {entry.action === 'create' ? 'created' : entry.action === 'delete' ? 'deleted' : 'updated'}{' '}
+              the task
+            </p>
+            <time className="text-xs text-gray-500">
+              {new Date(entry.createdAt).toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit',
+              })}
+            </time>
+            {entry.action === 'update' && (
+              <ul className="mt-1 space-y-0.5">
+                {entry.changes.map((change) => (
+                  <li key={change.field} className="text-xs text-gray-600">
+                    <span className="font-medium">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                    {change.field === 'description' || change.field === 'title' ? (
+                      <>
+                        <span className="line-through">{formatValue(change.field, change.from)}</span>
+                        {' → '}
+                        {formatValue(change.field, change.to)}
+                      </>
+                    ) : (
+                      `${formatValue(change.field, change.from)} → ${formatValue(change.field, change.to)}`
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
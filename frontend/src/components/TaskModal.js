@@ -2,17 +2,47 @@
 
 import { useState, useEffect } from 'react';
 import api from '@/lib/api';
+import { useAuth } from '@/context/AuthContext';
+import AssigneePicker from '@/components/AssigneePicker';
+import TaskHistory from '@/components/TaskHistory';
+import TaskComments from '@/components/TaskComments';
+import TaskAttachments from '@/components/TaskAttachments';
+import TagPicker from '@/components/TagPicker';
+import DependencyPicker from '@/components/DependencyPicker';
+import { WEEKDAYS } from '@/lib/recurrence';
 import { toast } from 'sonner';
-import { X } from 'lucide-react';
+import { X, Plus, Trash2, ChevronUp, ChevronDown, ListChecks, Repeat, History } from 'lucide-react';
 
-export default function TaskModal({ task, onClose, onSave }) {
+// readOnly shows an existing task to project viewers: the fields are
+// disabled, while attachments, comments and history work as usual
+export default function TaskModal({ task, projectId, readOnly = false, onClose, onSave }) {
+  const { user } = useAuth();
+  const currentUserId = user?.id || user?._id;
+  const taskProjectId = task ? task.project : projectId;
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     status: 'pending',
     priority: 'medium',
     dueDate: '',
+    assignee: null,
+    watchers: [],
+    tags: [],
+    blockedBy: [],
   });
+  const [recurrence, setRecurrence] = useState({
+    frequency: '',
+    interval: 1,
+    weekdays: [],
+    monthDay: '',
+    ends: 'never',
+    endDate: '',
+    count: '',
+  });
+  const [checklist, setChecklist] = useState([]);
+  const [newItemText, setNewItemText] = useState('');
+  const [checklistChanged, setChecklistChanged] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -24,7 +54,25 @@ export default function TaskModal({ task, onClose, onSave }) {
         status: task.status || 'pending',
         priority: task.priority || 'medium',
         dueDate: task.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : '',
+        assignee: task.assignee || null,
+        watchers: task.watchers || [],
+        tags: task.tags || [],
+        blockedBy: task.blockedBy || [],
       });
+      setChecklist(task.checklist || []);
+      if (task.recurrence) {
+        setRecurrence({
+          frequency: task.recurrence.frequency,
+          interval: task.recurrence.interval || 1,
+          weekdays: task.recurrence.weekdays || [],
+          monthDay: task.recurrence.monthDay || '',
+          ends: task.recurrence.endDate ? 'date' : task.recurrence.count ? 'count' : 'never',
+          endDate: task.recurrence.endDate
+            ? new Date(task.recurrence.endDate).toISOString().split('T')[0]
+            : '',
+          count: task.recurrence.count || '',
+        });
+      }
     }
   }, [task]);
 
@@ -41,6 +89,17 @@ export default function TaskModal({ task, onClose, onSave }) {
       newErrors.description = 'Description cannot exceed 500 characters';
     }
 
+    if (recurrence.frequency) {
+      const interval = Number(recurrence.interval);
+      if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        newErrors.recurrence = 'Interval must be between 1 and 365';
+      } else if (recurrence.ends === 'date' && !recurrence.endDate) {
+        newErrors.recurrence = 'Choose an end date';
+      } else if (recurrence.ends === 'count' && !(Number(recurrence.count) >= 1)) {
+        newErrors.recurrence = 'Number of occurrences must be at least 1';
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -53,7 +112,159 @@ export default function TaskModal({ task, onClose, onSave }) {
     }
   };
 
-  const handleSubmit = async (e) => {
+  // Checklist edits on an existing task are saved immediately; for a new
+  // task they are kept locally and sent along with the create request.
+  const applyChecklistResponse = (response) => {
+    const updated = response.data.data.task;
+    setChecklist(updated.checklist);
+    setFormData((prev) => ({ ...prev, status: updated.status }));
+    setChecklistChanged(true);
+
+    if (response.data.data.nextTask) {
+      toast.info('Task completed. Next occurrence created');
+    }
+  };
+
+  const handleAddItem = async () => {
+    const text = newItemText.trim();
+    if (!text) return;
+
+    if (text.length > 200) {
+      toast.error('Checklist item cannot exceed 200 characters');
+      return;
+    }
+
+    if (!task) {
+      setChecklist((prev) => [...prev, { _id: `new-${Date.now()}`, text, completed: false }]);
+      setNewItemText('');
+      return;
+    }
+
+    try {
+      const response = await api.post(`/api/tasks/${task._id}/checklist`, { text });
+      applyChecklistResponse(response);
+      setNewItemText('');
+    } catch (error) {
+      console.error('Error adding checklist item:', error);
+      toast.error(error.response?.data?.message || 'Failed to add checklist item');
+    }
+  };
+
+  const handleToggleItem = async (item) => {
+    if (!task) {
+      setChecklist((prev) =>
+        prev.map((entry) =>
+          entry._id === item._id ? { ...entry, completed: !entry.completed } : entry
+        )
+      );
+      return;
+    }
+
+    try {
+      const response = await api.put(`/api/tasks/${task._id}/checklist/${item._id}`, {
+        completed: !item.completed,
+      });
+      applyChecklistResponse(response);
+    } catch (error) {
+      console.error('Error updating checklist item:', error);
+      toast.error(error.response?.data?.message || 'Failed to update checklist item');
+    }
+  };
+
+  const handleDeleteItem = async (item) => {
+    if (!task) {
+      setChecklist((prev) => prev.filter((entry) => entry._id !== item._id));
+      return;
+    }
+
+    try {
+      const response = await api.delete(`/api/tasks/${task._id}/checklist/${item._id}`);
+      applyChecklistResponse(response);
+    } catch (error) {
+      console.error('Error deleting checklist item:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete checklist item');
+    }
+  };
+
+  const handleMoveItem = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= checklist.length) return;
+
+    const previous = checklist;
+    const reordered = [...checklist];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setChecklist(reordered);
+
+    if (!task) return;
+
+    try {
+      const response = await api.put(`/api/tasks/${task._id}/checklist/reorder`, {
+        itemIds: reordered.map((item) => item._id),
+      });
+      applyChecklistResponse(response);
+    } catch (error) {
+      console.error('Error reordering checklist:', error);
+      setChecklist(previous);
+      toast.error(error.response?.data?.message || 'Failed to reorder checklist');
+    }
+  };
+
+  const handleClose = () => {
+    if (checklistChanged) {
+      onSave();
+    } else {
+      onClose();
+    }
+  };
+
+  const handleRecurrenceChange = (field, value) => {
+    setRecurrence((prev) => ({ ...prev, [field]: value }));
+    if (errors.recurrence) {
+      setErrors((prev) => ({ ...prev, recurrence: '' }));
+    }
+  };
+
+  const toggleWeekday = (day) => {
+    handleRecurrenceChange(
+      'weekdays',
+      recurrence.weekdays.includes(day)
+        ? recurrence.weekdays.filter((d) => d !== day)
+        : [...recurrence.weekdays, day]
+    );
+  };
+
+  const buildRecurrencePayload = () => {
+    if (!recurrence.frequency) return null;
+
+    return {
+      frequency: recurrence.frequency,
+      interval: Number(recurrence.interval),
+      weekdays: recurrence.frequency === 'weekly' ? recurrence.weekdays : [],
+      monthDay:
+        recurrence.frequency === 'monthly' && recurrence.monthDay
+          ? Number(recurrence.monthDay)
+          : null,
+      endDate: recurrence.ends === 'date' ? recurrence.endDate : null,
+      count: recurrence.ends === 'count' ? Number(recurrence.count) : null,
+    };
+  };
+
+  const isWatching = formData.watchers.includes(currentUserId);
+
+  const handleToggleWatch = () => {
+    setFormData((prev) => ({
+      ...prev,
+      watchers: isWatching
+        ? prev.watchers.filter((id) => id !== currentUserId)
+        : [...prev.watchers, currentUserId],
+    }));
+  };
+
+  const completedCount = checklist.filter((item) => item.completed).length;
+
+  // force saves a status change the task's unfinished dependencies would
+  // otherwise block; the server's 409 asks the user first
+  const handleSubmit = async (e, force = false) => {
     e.preventDefault();
 
     if (!validate()) {
@@ -63,16 +274,40 @@ export default function TaskModal({ task, onClose, onSave }) {
     setIsSubmitting(true);
 
     try {
+      // Trashed dependencies are not listed on the task, so an unchanged
+      // list is left out instead of being sent back without them
+      const blockedBy = formData.blockedBy.map((dependency) => dependency._id);
+      const blockedByChanged =
+        !task || blockedBy.join() !== (task.blockedBy || []).map((dependency) => dependency._id).join();
+
       const payload = {
         ...formData,
         dueDate: formData.dueDate || undefined,
+        assignee: formData.assignee?._id || null,
+        tags: formData.tags.map((tag) => tag._id),
+        blockedBy: blockedByChanged ? blockedBy : undefined,
+        recurrence: buildRecurrencePayload(),
+        force,
       };
 
       if (task) {
-        await api.put(`/api/tasks/${task._id}`, payload);
+        const response = await api.put(`/api/tasks/${task._id}`, payload);
         toast.success('Task updated successfully');
+
+        const { nextTask } = response.data.data;
+        if (nextTask) {
+          toast.info(
+            nextTask.dueDate
+              ? `Next occurrence scheduled for ${new Date(nextTask.dueDate).toLocaleDateString()}`
+              : 'Next occurrence created'
+          );
+        }
       } else {
-        await api.post('/api/tasks', payload);
+        await api.post('/api/tasks', {
+          ...payload,
+          project: projectId || undefined,
+          checklist: checklist.map(({ text, completed }) => ({ text, completed })),
+        });
         toast.success('Task created successfully');
       }
 
@@ -80,6 +315,14 @@ export default function TaskModal({ task, onClose, onSave }) {
     } catch (error) {
       console.error('Error saving task:', error);
       const message = error.response?.data?.message || 'Failed to save task';
+
+      if (error.response?.status === 409) {
+        if (confirm(`${message}. Save it anyway?`)) {
+          await handleSubmit(e, true);
+        }
+        return;
+      }
+
       toast.error(message);
     } finally {
       setIsSubmitting(false);
@@ -91,10 +334,10 @@ export default function TaskModal({ task, onClose, onSave }) {
       <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
         <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between">
           <h2 className="text-2xl font-bold text-gray-900">
-            {task ? 'Edit Task' : 'Create New Task'}
+            {readOnly ? 'Task Details' : task ? 'Edit Task' : 'Create New Task'}
           </h2>
           <button
-            onClick={onClose}
+            onClick={handleClose}
             className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
           >
             <X className="w-5 h-5" />
@@ -102,113 +345,394 @@ export default function TaskModal({ task, onClose, onSave }) {
         </div>
 
         <form onSubmit={handleSubmit} className="p-6 space-y-5">
-          {/* Title */}
-          <div>
-            <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-2">
-              Title *
-            </label>
-            <input
-              type="text"
-              id="title"
-              name="title"
-              value={formData.title}
-              onChange={handleChange}
-              className={`input ${errors.title ? 'border-red-500' : ''}`}
-              placeholder="Enter task title"
-            />
-            {errors.title && <p className="mt-1 text-sm text-red-600">{errors.title}</p>}
-          </div>
-
-          {/* Description */}
-          <div>
-            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">
-              Description
-            </label>
-            <textarea
-              id="description"
-              name="description"
-              value={formData.description}
-              onChange={handleChange}
-              rows={4}
-              className={`input ${errors.description ? 'border-red-500' : ''}`}
-              placeholder="Enter task description"
-            />
-            {errors.description && (
-              <p className="mt-1 text-sm text-red-600">{errors.description}</p>
-            )}
-          </div>
+          <fieldset disabled={readOnly} className="space-y-5 min-w-0">
+            {/* Title */}
+            <div>
+              <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-2">
+                Title *
+              </label>
+              <input
+                type="text"
+                id="title"
+                name="title"
+                value={formData.title}
+                onChange={handleChange}
+                className={`input ${errors.title ? 'border-red-500' : ''}`}
+                placeholder="Enter task title"
+              />
+              {errors.title && <p className="mt-1 text-sm text-red-600">{errors.title}</p>}
+            </div>
 
-          {/* Status and Priority */}
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {/* Description */}
             <div>
-              <label htmlFor="status" className="block text-sm font-medium text-gray-700 mb-2">
-                Status
+              <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">
+                Description
               </label>
-              <select
-                id="status"
-                name="status"
-                value={formData.status}
+              <textarea
+                id="description"
+                name="description"
+                value={formData.description}
                 onChange={handleChange}
-                className="input"
-              >
-                <option value="pending">Pending</option>
-                <option value="in-progress">In Progress</option>
-                <option value="completed">Completed</option>
-              </select>
+                rows={4}
+                className={`input ${errors.description ? 'border-red-500' : ''}`}
+                placeholder="Enter task description"
+              />
+              {errors.description && (
+                <p className="mt-1 text-sm text-red-600">{errors.description}</p>
+              )}
+            </div>
+
+            {/* Status and Priority */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="status" className="block text-sm font-medium text-gray-700 mb-2">
+                  Status
+                </label>
+                <select
+                  id="status"
+                  name="status"
+                  value={formData.status}
+                  onChange={handleChange}
+                  className="input"
+                >
+                  <option value="pending">Pending</option>
+                  <option value="in-progress">In Progress</option>
+                  <option value="completed">Completed</option>
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="priority" className="block text-sm font-medium text-gray-700 mb-2">
+                  Priority
+                </label>
+                <select
+                  id="priority"
+                  name="priority"
+                  value={formData.priority}
+                  onChange={handleChange}
+                  className="input"
+                >
+                  <option value="low">Low</option>
+                  <option value="medium">Medium</option>
+                  <option value="high">High</option>
+                </select>
+              </div>
             </div>
 
+            {/* Due Date */}
             <div>
-              <label htmlFor="priority" className="block text-sm font-medium text-gray-700 mb-2">
-                Priority
+              <label htmlFor="dueDate" className="block text-sm font-medium text-gray-700 mb-2">
+                Due Date
               </label>
-              <select
-                id="priority"
-                name="priority"
-                value={formData.priority}
+              <input
+                type="date"
+                id="dueDate"
+                name="dueDate"
+                value={formData.dueDate}
                 onChange={handleChange}
                 className="input"
-              >
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-              </select>
+              />
             </div>
-          </div>
 
-          {/* Due Date */}
-          <div>
-            <label htmlFor="dueDate" className="block text-sm font-medium text-gray-700 mb-2">
-              Due Date
-            </label>
-            <input
-              type="date"
-              id="dueDate"
-              name="dueDate"
-              value={formData.dueDate}
-              onChange={handleChange}
-              className="input"
-            />
-          </div>
+            {/* Tags */}
+            <div>
+              <label htmlFor="newTag" className="block text-sm font-medium text-gray-700 mb-2">
+                Tags
+              </label>
+              <TagPicker
+                value={formData.tags}
+                onChange={(tags) => setFormData((prev) => ({ ...prev, tags }))}
+              />
+            </div>
+
+            {/* Recurrence */}
+            <div>
+              <label htmlFor="frequency" className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                <Repeat className="w-4 h-4 mr-2" />
+                Repeat
+              </label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <select
+                  id="frequency"
+                  value={recurrence.frequency}
+                  onChange={(e) => handleRecurrenceChange('frequency', e.target.value)}
+                  className="input"
+                >
+                  <option value="">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+
+                {recurrence.frequency && (
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm text-gray-600">Every</span>
+                    <input
+                      type="number"
+                      min={1}
+                      max={365}
+                      value={recurrence.interval}
+                      onChange={(e) => handleRecurrenceChange('interval', e.target.value)}
+                      className="input w-20"
+                    />
+                    <span className="text-sm text-gray-600">
+                      {{ daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' }[recurrence.frequency]}
+                    </span>
+                  </div>
+                )}
+              </div>
+
+              {recurrence.frequency === 'weekly' && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {WEEKDAYS.map((label, day) => (
+                    <button
+                      key={label}
+                      type="button"
+                      onClick={() => toggleWeekday(day)}
+                      className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                        recurrence.weekdays.includes(day)
+                          ? 'bg-primary-600 text-white border-primary-600'
+                          : 'text-gray-700 border-gray-300 hover:bg-gray-100'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {recurrence.frequency === 'monthly' && (
+                <div className="flex items-center gap-2 mt-3">
+                  <span className="text-sm text-gray-600">On day</span>
+                  <input
+                    type="number"
+                    min={1}
+                    max={31}
+                    value={recurrence.monthDay}
+                    onChange={(e) => handleRecurrenceChange('monthDay', e.target.value)}
+                    className="input w-20"
+                    placeholder="—"
+                  />
+                  <span className="text-xs text-gray-500">Defaults to the due date&apos;s day</span>
+                </div>
+              )}
+
+              {recurrence.frequency && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+                  <select
+                    value={recurrence.ends}
+                    onChange={(e) => handleRecurrenceChange('ends', e.target.value)}
+                    className="input"
+                  >
+                    <option value="never">Never ends</option>
+                    <option value="date">Ends on date</option>
+                    <option value="count">Ends after</option>
+                  </select>
+                  {recurrence.ends === 'date' && (
+                    <input
+                      type="date"
+                      value={recurrence.endDate}
+                      onChange={(e) => handleRecurrenceChange('endDate', e.target.value)}
+                      className="input"
+                    />
+                  )}
+                  {recurrence.ends === 'count' && (
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="number"
+                        min={1}
+                        value={recurrence.count}
+                        onChange={(e) => handleRecurrenceChange('count', e.target.value)}
+                        className="input w-24"
+                      />
+                      <span className="text-sm text-gray-600">occurrences</span>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {errors.recurrence && <p className="mt-1 text-sm text-red-600">{errors.recurrence}</p>}
+            </div>
+
+            {/* Assignee */}
+            <div>
+              <label htmlFor="assignee" className="block text-sm font-medium text-gray-700 mb-2">
+                Assignee
+              </label>
+              <AssigneePicker
+                projectId={taskProjectId}
+                value={formData.assignee}
+                onChange={(assignee) => setFormData((prev) => ({ ...prev, assignee }))}
+              />
+              <label className="flex items-center mt-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={isWatching}
+                  onChange={handleToggleWatch}
+                  className="w-4 h-4 mr-2 text-primary-600 rounded"
+                />
+                Watch this task
+              </label>
+            </div>
+
+            {/* Dependencies */}
+            <div>
+              <label htmlFor="blockedBy" className="block text-sm font-medium text-gray-700 mb-2">
+                Blocked by
+              </label>
+              <DependencyPicker
+                taskId={task?._id}
+                projectId={taskProjectId}
+                value={formData.blockedBy}
+                onChange={(blockedBy) => setFormData((prev) => ({ ...prev, blockedBy }))}
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                The task cannot start or be completed until these are done
+              </p>
+            </div>
+
+            {/* Checklist */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label htmlFor="newChecklistItem" className="flex items-center text-sm font-medium text-gray-700">
+                  <ListChecks className="w-4 h-4 mr-2" />
+                  Checklist
+                </label>
+                {checklist.length > 0 && (
+                  <span className="text-sm text-gray-500">
+                    {completedCount}/{checklist.length} done
+                  </span>
+                )}
+              </div>
+
+              {checklist.length > 0 && (
+                <>
+                  <div className="w-full bg-gray-200 rounded-full h-2 mb-3">
+                    <div
+                      className="bg-primary-600 h-2 rounded-full transition-all"
+                      style={{ width: `${Math.round((completedCount / checklist.length) * 100)}%` }}
+                    />
+                  </div>
+
+                  <ul className="space-y-2 mb-3">
+                    {checklist.map((item, index) => (
+                      <li key={item._id} className="flex items-center gap-2 group">
+                        <input
+                          type="checkbox"
+                          checked={item.completed}
+                          onChange={() => handleToggleItem(item)}
+                          className="w-4 h-4 text-primary-600 rounded"
+                        />
+                        <span
+                          className={`flex-1 text-sm ${
+                            item.completed ? 'line-through text-gray-400' : 'text-gray-800'
+                          }`}
+                        >
+                          {item.text}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => handleMoveItem(index, -1)}
+                          disabled={index === 0}
+                          className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                        >
+                          <ChevronUp className="w-4 h-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleMoveItem(index, 1)}
+                          disabled={index === checklist.length - 1}
+                          className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                        >
+                          <ChevronDown className="w-4 h-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDeleteItem(item)}
+                          className="p-1 text-red-500 hover:bg-red-50 rounded"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  id="newChecklistItem"
+                  value={newItemText}
+                  onChange={(e) => setNewItemText(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      handleAddItem();
+                    }
+                  }}
+                  className="input"
+                  placeholder="Add a checklist item"
+                />
+                <button type="button" onClick={handleAddItem} className="btn-secondary">
+                  <Plus className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+
+          </fieldset>
 
           {/* Actions */}
           <div className="flex gap-3 pt-4">
+            {!readOnly && (
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="btn-primary flex-1"
+              >
+                {isSubmitting ? 'Saving...' : task ? 'Update Task' : 'Create Task'}
+              </button>
+            )}
             <button
-              type="submit"
+              type="button"
+              onClick={handleClose}
               disabled={isSubmitting}
-              className="btn-primary flex-1"
+              className="btn-secondary"
             >
-              {isSubmitting ? 'Saving...' : task ? 'Update Task' : 'Create Task'}
+              {readOnly ? 'Close' : 'Cancel'}
             </button>
+          </div>
+        </form>
+
+        {task && (
+          <div className="border-t px-6 py-4">
+            <TaskAttachments taskId={task._id} projectId={taskProjectId} />
+          </div>
+        )}
+
+        {task && (
+          <div className="border-t px-6 py-4">
+            <TaskComments taskId={task._id} projectId={taskProjectId} />
+          </div>
+        )}
+
+        {task && (
+          <div className="border-t px-6 py-4">
             <button
               type="button"
-              onClick={onClose}
-              disabled={isSubmitting}
-              className="btn-secondary"
+              onClick={() => setShowHistory((prev) => !prev)}
+              className="flex items-center text-sm font-medium text-gray-700 hover:text-gray-900"
             >
-              Cancel
+              <History className="w-4 h-4 mr-2" />
+              {showHistory ? 'Hide history' : 'Show history'}
             </button>
+            {showHistory && (
+              <div className="mt-4">
+                <TaskHistory taskId={task._id} />
+              </div>
+            )}
           </div>
-        </form>
+        )}
       </div>
     </div>
   );
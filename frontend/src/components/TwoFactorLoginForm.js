@@ -0,0 +1,96 @@
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { KeyRound } from 'lucide-react';
+import RetryCountdown from '@/components/RetryCountdown';
+
+export default function TwoFactorLoginForm({ challengeToken, onCancel }) {
+  const { completeTwoFactorLogin } = useAuth();
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [lockedUntil, setLockedUntil] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!useRecoveryCode && !/^\d{6}$/.test(value.trim())) {
+      setError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    if (useRecoveryCode && !value.trim()) {
+      setError('Recovery code is required');
+      return;
+    }
+
+    setIsLoading(true);
+    const factor = useRecoveryCode ? { recoveryCode: value.trim() } : { code: value.trim() };
+    const result = await completeTwoFactorLogin(challengeToken, factor);
+
+    if (!result.success) {
+      if (result.retryAfter) {
+        setLockedUntil(Date.now() + result.retryAfter * 1000);
+      }
+      setValue('');
+      setIsLoading(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode((prev) => !prev);
+    setValue('');
+    setError('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {lockedUntil && <RetryCountdown until={lockedUntil} onDone={() => setLockedUntil(null)} />}
+
+      <div>
+        <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-2">
+          {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+        </label>
+        <div className="relative">
+          <KeyRound className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+          <input
+            type="text"
+            id="twoFactorCode"
+            value={value}
+            onChange={(e) => {
+              setValue(e.target.value);
+              setError('');
+            }}
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
+            maxLength={useRecoveryCode ? 20 : 6}
+            className={`input pl-10 tracking-widest ${error ? 'border-red-500' : ''}`}
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          />
+        </div>
+        {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+        <p className="mt-2 text-sm text-gray-500">
+          {useRecoveryCode
+            ? 'Each recovery code can only be used once.'
+            : 'Open your authenticator app and enter the current code.'}
+        </p>
+      </div>
+
+      <button type="submit" disabled={isLoading || !!lockedUntil} className="btn-primary w-full">
+        {isLoading ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="flex items-center justify-between text-sm">
+        <button type="button" onClick={toggleMode} className="text-primary-600 hover:text-primary-700">
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button type="button" onClick={onCancel} className="text-gray-600 hover:text-gray-900">
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  );
+}
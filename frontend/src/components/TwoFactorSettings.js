@@ -0,0 +1,296 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '@/lib/api';
+import { toast } from 'sonner';
+import { useAuth } from '@/context/AuthContext';
+import { secondFactor } from '@/lib/twoFactor';
+import { ShieldCheck, Copy, Download } from 'lucide-react';
+
+const RecoveryCodes = ({ codes, onDone }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy recovery codes');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'taskapp-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-yellow-700 mb-3">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 bg-gray-50 rounded-lg p-4 font-mono text-sm mb-4 max-w-sm">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex gap-3">
+        <button onClick={handleCopy} className="btn-secondary">
+          <Copy className="w-4 h-4 inline mr-2" />
+          Copy
+        </button>
+        <button onClick={handleDownload} className="btn-secondary">
+          <Download className="w-4 h-4 inline mr-2" />
+          Download
+        </button>
+        <button onClick={onDone} className="btn-primary">
+          I&apos;ve Saved Them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const DISABLED_STATUS = { enabled: false, enabledAt: null, recoveryCodesRemaining: 0 };
+
+export default function TwoFactorSettings() {
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState(DISABLED_STATUS);
+  const [mode, setMode] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [form, setForm] = useState({ code: '', password: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await api.get('/api/auth/2fa');
+        setStatus(response.data.data);
+      } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+      }
+    };
+
+    fetchStatus();
+  }, []);
+
+  const resetForm = () => {
+    setMode(null);
+    setSetup(null);
+    setForm({ code: '', password: '' });
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleStartSetup = async () => {
+    setIsWorking(true);
+
+    try {
+      const response = await api.post('/api/auth/2fa/setup');
+      setSetup(response.data.data);
+      setMode('setup');
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+
+    try {
+      const response = await api.post('/api/auth/2fa/enable', { code: form.code.trim() });
+      const codes = response.data.data.recoveryCodes;
+      setRecoveryCodes(codes);
+      setStatus({
+        enabled: true,
+        enabledAt: new Date().toISOString(),
+        recoveryCodesRemaining: codes.length,
+      });
+      updateUser({ ...user, twoFactorEnabled: true });
+      resetForm();
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+      toast.error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+
+    try {
+      await api.post('/api/auth/2fa/disable', { password: form.password, ...secondFactor(form.code) });
+      setStatus(DISABLED_STATUS);
+      updateUser({ ...user, twoFactorEnabled: false });
+      resetForm();
+      toast.success('Two-factor authentication disabled');
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+
+    try {
+      const response = await api.post('/api/auth/2fa/recovery-codes', secondFactor(form.code));
+      const codes = response.data.data.recoveryCodes;
+      setRecoveryCodes(codes);
+      setStatus((prev) => ({ ...prev, recoveryCodesRemaining: codes.length }));
+      resetForm();
+    } catch (error) {
+      console.error('Error generating recovery codes:', error);
+      toast.error(error.response?.data?.message || 'Failed to generate recovery codes');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const codeInput = (label) => (
+    <div>
+      <label htmlFor="twoFactorSettingsCode" className="block text-sm font-medium text-gray-700 mb-2">
+        {label}
+      </label>
+      <input
+        type="text"
+        id="twoFactorSettingsCode"
+        name="code"
+        value={form.code}
+        onChange={handleChange}
+        autoComplete="one-time-code"
+        className="input tracking-widest"
+        placeholder="123456"
+      />
+    </div>
+  );
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-2">
+        <ShieldCheck className="w-5 h-5 text-primary-600 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-900">Two-Factor Authentication</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Require a code from an authenticator app such as Google Authenticator, 1Password or Authy
+        in addition to your password when signing in.
+      </p>
+
+      {recoveryCodes ? (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : mode === 'setup' && setup ? (
+        <form onSubmit={handleEnable} className="space-y-4 max-w-md">
+          <p className="text-sm text-gray-700">
+            1. Scan this QR code with your authenticator app.
+          </p>
+          {/* eslint-disable-next-line @next/next/no-img-element */}
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48 border rounded-lg" />
+          <p className="text-sm text-gray-600">
+            Can&apos;t scan it? Enter this key instead:{' '}
+            <code className="font-mono break-all">{setup.secret}</code>
+          </p>
+          <p className="text-sm text-gray-700">2. Enter the 6-digit code the app shows.</p>
+          {codeInput('Authentication Code')}
+          <div className="flex gap-3">
+            <button type="submit" disabled={isWorking || !form.code} className="btn-primary">
+              {isWorking ? 'Verifying...' : 'Enable'}
+            </button>
+            <button type="button" onClick={resetForm} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : mode === 'disable' ? (
+        <form onSubmit={handleDisable} className="space-y-4 max-w-md">
+          <div>
+            <label htmlFor="twoFactorPassword" className="block text-sm font-medium text-gray-700 mb-2">
+              Password
+            </label>
+            <input
+              type="password"
+              id="twoFactorPassword"
+              name="password"
+              value={form.password}
+              onChange={handleChange}
+              autoComplete="current-password"
+              className="input"
+            />
+          </div>
+          {codeInput('Authentication or Recovery Code')}
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={isWorking || !form.password || !form.code}
+              className="btn-danger"
+            >
+              {isWorking ? 'Disabling...' : 'Disable'}
+            </button>
+            <button type="button" onClick={resetForm} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : mode === 'regenerate' ? (
+        <form onSubmit={handleRegenerate} className="space-y-4 max-w-md">
+          <p className="text-sm text-gray-600">
+            Your current recovery codes will stop working.
+          </p>
+          {codeInput('Authentication or Recovery Code')}
+          <div className="flex gap-3">
+            <button type="submit" disabled={isWorking || !form.code} className="btn-primary">
+              {isWorking ? 'Generating...' : 'Generate New Codes'}
+            </button>
+            <button type="button" onClick={resetForm} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : status.enabled ? (
+        <div>
+          <p className="text-sm text-gray-600 mb-4">
+            <span className="font-medium text-green-700">Enabled</span> since{' '}
+            {new Date(status.enabledAt).toLocaleDateString('en-US', {
+              month: 'long',
+              day: 'numeric',
+              year: 'numeric',
+            })}
+            . {status.recoveryCodesRemaining} recovery code
+            {status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+          </p>
+          <div className="flex gap-3">
+            <button onClick={() => setMode('regenerate')} className="btn-secondary">
+              New Recovery Codes
+            </button>
+            <button onClick={() => setMode('disable')} className="btn-danger">
+              Disable
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button onClick={handleStartSetup} disabled={isWorking} className="btn-primary">
+          <ShieldCheck className="w-4 h-4 inline mr-2" />
+          Set Up Two-Factor Authentication
+        </button>
+      )}
+    </div>
+  );
+}
@@ -30,16 +30,20 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
+  const startSession = (user, accessToken) => {
+    localStorage.setItem('accessToken', accessToken);
+    localStorage.setItem('user', JSON.stringify(user));
+    setUser(user);
+  };
+
   const register = async (userData) => {
     try {
       const response = await api.post('/api/auth/register', userData);
       const { user, accessToken } = response.data.data;
 
-      localStorage.setItem('accessToken', accessToken);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
+      startSession(user, accessToken);
 
-      toast.success('Registration successful!');
+      toast.success('Registration successful! Check your inbox to verify your email.');
       router.push('/dashboard');
       return { success: true };
     } catch (error) {
@@ -49,36 +53,77 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Rate limits and lockouts (429) come with retryAfter in seconds, which
+  // the login page shows as a countdown instead of a toast
+  const loginFailed = (error) => {
+    const message = error.response?.data?.message || 'Login failed';
+    const retryAfter = error.response?.status === 429 ? error.response.data.retryAfter : null;
+
+    if (!retryAfter) {
+      toast.error(message);
+    }
+    return { success: false, error: message, retryAfter };
+  };
+
+  // Resolves with twoFactorRequired and a challengeToken when the account
+  // needs a second step; see completeTwoFactorLogin
   const login = async (credentials) => {
     try {
       const response = await api.post('/api/auth/login', credentials);
-      const { user, accessToken } = response.data.data;
+      const { user, accessToken, twoFactorRequired, challengeToken } = response.data.data;
+
+      if (twoFactorRequired) {
+        return { success: false, twoFactorRequired, challengeToken };
+      }
 
-      localStorage.setItem('accessToken', accessToken);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
+      startSession(user, accessToken);
 
       toast.success('Login successful!');
       router.push('/dashboard');
       return { success: true };
     } catch (error) {
-      const message = error.response?.data?.message || 'Login failed';
-      toast.error(message);
-      return { success: false, error: message };
+      return loginFailed(error);
     }
   };
 
+  // factor is { code } or { recoveryCode }
+  const completeTwoFactorLogin = async (challengeToken, factor) => {
+    try {
+      const response = await api.post('/api/auth/login/2fa', { challengeToken, ...factor });
+      const { user, accessToken, recoveryCodesRemaining } = response.data.data;
+
+      startSession(user, accessToken);
+
+      toast.success('Login successful!');
+      if (recoveryCodesRemaining !== undefined) {
+        toast.warning(
+          `You have ${recoveryCodesRemaining} recovery code${recoveryCodesRemaining === 1 ? '' : 's'} left. Generate new ones from your profile.`
+        );
+      }
+      router.push('/dashboard');
+      return { success: true };
+    } catch (error) {
+      return loginFailed(error);
+    }
+  };
+
+  // Forgets the signed-in user locally without calling the API, e.g. after
+  // the account has been deleted
+  const clearSession = (message) => {
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('user');
+    setUser(null);
+    toast.success(message);
+    router.push('/login');
+  };
+
   const logout = async () => {
     try {
       await api.post('/api/auth/logout');
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('accessToken');
-      localStorage.removeItem('user');
-      setUser(null);
-      toast.success('Logged out successfully');
-      router.push('/login');
+      clearSession('Logged out successfully');
     }
   };
 
@@ -92,7 +137,9 @@ export const AuthProvider = ({ children }) => {
     loading,
     register,
     login,
+    completeTwoFactorLogin,
     logout,
+    clearSession,
     updateUser,
     isAuthenticated: !!user,
   };
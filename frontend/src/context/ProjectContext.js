@@ -0,0 +1,69 @@
+'use client';
+
+import { createContext, useContext, useState, useEffect } from 'react';
+import api from '@/lib/api';
+
+const ProjectContext = createContext();
+
+export const useProjects = () => {
+  const context = useContext(ProjectContext);
+  if (!context) {
+    throw new Error('useProjects must be used within ProjectProvider');
+  }
+  return context;
+};
+
+export const ProjectProvider = ({ children }) => {
+  const [projects, setProjects] = useState([]);
+  const [currentProjectId, setCurrentProjectId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setCurrentProjectId(localStorage.getItem('currentProjectId'));
+    fetchProjects();
+  }, []);
+
+  const fetchProjects = async () => {
+    try {
+      const response = await api.get('/api/projects');
+      const fetched = response.data.data.projects;
+      setProjects(fetched);
+
+      // Fall back to personal tasks if the saved project is gone
+      setCurrentProjectId((current) => {
+        if (current && !fetched.some((project) => project._id === current)) {
+          localStorage.removeItem('currentProjectId');
+          return null;
+        }
+        return current;
+      });
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectProject = (projectId) => {
+    if (projectId) {
+      localStorage.setItem('currentProjectId', projectId);
+    } else {
+      localStorage.removeItem('currentProjectId');
+    }
+    setCurrentProjectId(projectId || null);
+  };
+
+  const currentProject = projects.find((project) => project._id === currentProjectId) || null;
+
+  const value = {
+    projects,
+    loading,
+    currentProject,
+    currentProjectId: currentProject?._id || null,
+    selectProject,
+    fetchProjects,
+    canEdit: !currentProject || currentProject.role !== 'viewer',
+  };
+
+  return <ProjectContext.Provider value={value}>{children}</ProjectContext.Provider>;
+};
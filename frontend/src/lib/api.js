@@ -1,6 +1,6 @@
 import axios from 'axios';
 
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000';
+export const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000';
 
 const api = axios.create({
   baseURL: API_URL,
@@ -23,6 +23,30 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh tokens are single use, so requests that fail together share one
+// refresh instead of each presenting the same token
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_URL}/api/auth/refresh`, {}, { withCredentials: true })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Exchanges the refresh cookie for a new access token and stores it. Also
+// used by connections that do not go through axios, like the event stream.
+export const renewAccessToken = async () => {
+  const response = await refreshAccessToken();
+  const { accessToken } = response.data.data;
+  localStorage.setItem('accessToken', accessToken);
+  return accessToken;
+};
+
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
@@ -32,14 +56,7 @@ api.interceptors.response.use(
       originalRequest._retry = true;
 
       try {
-        const response = await axios.post(
-          `${API_URL}/api/auth/refresh`,
-          {},
-          { withCredentials: true }
-        );
-
-        const { accessToken } = response.data.data;
-        localStorage.setItem('accessToken', accessToken);
+        const accessToken = await renewAccessToken();
 
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         return api(originalRequest);
@@ -0,0 +1,5 @@
+// Tooltip for a blocked task, naming the prerequisites still open
+export const describeBlockers = (task) => {
+  const open = (task.blockedBy || []).filter((dependency) => dependency.status !== 'completed');
+  return `Blocked by ${open.map((dependency) => dependency.title).join(', ')}`;
+};
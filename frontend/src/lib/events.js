@@ -0,0 +1,126 @@
+import { API_URL, renewAccessToken } from '@/lib/api';
+
+// Client for the server's task event stream (GET /api/events). EventSource
+// cannot send an Authorization header, so the stream is read with fetch.
+// All subscribers share one connection, which reconnects with backoff and
+// resumes from the last event it saw.
+
+const MAX_RETRY_MS = 30 * 1000;
+
+const listeners = new Set();
+let controller = null;
+let retryTimer = null;
+let lastEventId = null;
+let baseRetryMs = 5000;
+let retryMs = baseRetryMs;
+
+const dispatch = (type, data) => {
+  listeners.forEach((listener) => listener(type, data));
+};
+
+const handleMessage = (message) => {
+  let event = 'message';
+  let id = null;
+  const data = [];
+
+  message.split('\n').forEach((line) => {
+    if (!line || line.startsWith(':')) return;
+
+    const index = line.indexOf(':');
+    const field = index === -1 ? line : line.slice(0, index);
+    const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+    else if (field === 'id') id = value;
+    else if (field === 'retry' && /^\d+$/.test(value)) {
+      baseRetryMs = Number(value);
+      retryMs = baseRetryMs;
+    }
+  });
+
+  if (id) lastEventId = id;
+  if (data.length === 0) return;
+
+  // The missed events are gone; subscribers reload instead
+  if (event === 'reset') lastEventId = null;
+
+  try {
+    dispatch(event, JSON.parse(data.join('\n')));
+  } catch (error) {
+    console.error('Error handling task event:', error);
+  }
+};
+
+const openStream = (signal) => {
+  const headers = { Authorization: `Bearer ${localStorage.getItem('accessToken')}` };
+  if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+  return fetch(`${API_URL}/api/events`, { headers, signal, credentials: 'include' });
+};
+
+const scheduleReconnect = () => {
+  retryTimer = setTimeout(connect, retryMs);
+  retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+};
+
+const connect = async () => {
+  controller = new AbortController();
+  const { signal } = controller;
+
+  try {
+    let response = await openStream(signal);
+
+    // The access token expired since the last request; renew it once
+    if (response.status === 401) {
+      await renewAccessToken();
+      response = await openStream(signal);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Event stream responded with ${response.status}`);
+    }
+
+    retryMs = baseRetryMs;
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer = (buffer + value).replace(/\r\n?/g, '\n');
+
+      let index;
+      while ((index = buffer.indexOf('\n\n')) !== -1) {
+        handleMessage(buffer.slice(0, index));
+        buffer = buffer.slice(index + 2);
+      }
+    }
+  } catch (error) {
+    if (signal.aborted) return;
+    console.error('Event stream error:', error);
+  }
+
+  if (!signal.aborted) scheduleReconnect();
+};
+
+// Calls listener(type, data) for every task event: task.created and
+// task.updated carry { task }, task.deleted carries { taskId, project }, and
+// reset means events were missed and the view should be reloaded. Returns
+// the function that unsubscribes.
+export const subscribeToTaskEvents = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) connect();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size > 0) return;
+
+    clearTimeout(retryTimer);
+    controller?.abort();
+    controller = null;
+    lastEventId = null;
+  };
+};
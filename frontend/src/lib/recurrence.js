@@ -0,0 +1,31 @@
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+};
+
+const ordinal = (n) => {
+  const suffix = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return n + (suffix[(v - 20) % 10] || suffix[v] || suffix[0]);
+};
+
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence?.frequency) return '';
+
+  const { frequency, interval = 1, weekdays, monthDay } = recurrence;
+  const unit = UNITS[frequency];
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (frequency === 'weekly' && weekdays?.length) {
+    text += ` on ${[...weekdays].sort().map((day) => WEEKDAYS[day]).join(', ')}`;
+  }
+
+  if (frequency === 'monthly' && monthDay) {
+    text += ` on the ${ordinal(monthDay)}`;
+  }
+
+  return text;
+};
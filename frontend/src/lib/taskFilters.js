@@ -0,0 +1,34 @@
+// Decides whether a task pushed by the event stream belongs in a view
+// loaded with the given /api/tasks query parameters. Mirrors the server's
+// filters; returns null when that cannot be decided locally (full-text
+// search), in which case only tasks already on screen are updated.
+export const matchesTaskFilters = (task, params, userId) => {
+  const projectId = params.get('project') || null;
+  const taskProjectId = task.project?._id || task.project || null;
+  if (taskProjectId !== projectId) return false;
+
+  const status = params.get('status');
+  if (status && task.status !== status) return false;
+
+  const priority = params.get('priority');
+  if (priority && task.priority !== priority) return false;
+
+  const assignee = params.get('assignee');
+  const assigneeId = task.assignee?._id || task.assignee || null;
+  if (assignee === 'unassigned' && assigneeId) return false;
+  if (assignee === 'me' && assigneeId !== userId) return false;
+  if (assignee && !['me', 'unassigned'].includes(assignee) && assigneeId !== assignee) return false;
+
+  const tags = params.get('tags');
+  if (tags) {
+    const taskTagIds = (task.tags || []).map((tag) => tag._id || tag);
+    const wanted = tags.split(',');
+    const matches =
+      params.get('tagMatch') === 'all'
+        ? wanted.every((id) => taskTagIds.includes(id))
+        : wanted.some((id) => taskTagIds.includes(id));
+    if (!matches) return false;
+  }
+
+  return params.get('search') ? null : true;
+};
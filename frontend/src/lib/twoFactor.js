@@ -0,0 +1,6 @@
+// Request fields for a code typed by the user. Codes of other lengths are
+// taken as recovery codes.
+export const secondFactor = (input) => {
+  const value = input.trim();
+  return /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+};